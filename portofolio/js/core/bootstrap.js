@@ -0,0 +1,122 @@
+/** bootstrap.js
+ * Idempotent feature bootstrapper. Each feature module registers itself with
+ * a selector; start() initialises it once, when its element gets close to
+ * the viewport (or right away for `eager` modules). Calling start() or
+ * load() again never initialises a module twice.
+ *
+ *   register('skills', { selector: '#skills', init: el => { ... } });
+ *   start();
+ */
+
+const DEFAULT_MARGIN = '300px 0px';   // start a little before the section shows up
+
+const registry = new Map();   // name -> { options, status, promise, resolve }
+let observer = null;
+
+function entryFor(name) {
+  let entry = registry.get(name);
+  if (!entry) {
+    // allow whenReady() before register()
+    entry = { options: null, status: 'pending', promise: null, resolve: null };
+    entry.promise = new Promise(resolve => { entry.resolve = resolve; });
+    registry.set(name, entry);
+  }
+  return entry;
+}
+
+/**
+ * @param {string} name
+ * @param {object} options
+ * @param {string} [options.selector]  element that triggers the init (none = eager)
+ * @param {Function} options.init      called once with the matched element
+ * @param {boolean} [options.eager]    init on start() without waiting for the viewport
+ * @param {string} [options.rootMargin]
+ */
+export function register(name, options) {
+  const entry = entryFor(name);
+  if (entry.options) {
+    console.warn(`bootstrap: module "${name}" is already registered`);
+    return;
+  }
+  entry.options = Object.assign({ selector: null, eager: false, rootMargin: DEFAULT_MARGIN }, options);
+}
+
+/** initialise `name` now (no-op when it already ran or is running) */
+export function load(name) {
+  const entry = registry.get(name);
+  if (!entry || !entry.options) return Promise.reject(new Error(`bootstrap: unknown module "${name}"`));
+  if (entry.status !== 'pending') return entry.promise;
+
+  const { selector, init } = entry.options;
+  const el = selector ? document.querySelector(selector) : document.documentElement;
+  if (!el) {
+    entry.status = 'skipped';
+    entry.resolve(null);
+    return entry.promise;
+  }
+
+  entry.status = 'loading';
+  Promise.resolve()
+    .then(() => init(el))
+    .then(result => {
+      entry.status = 'ready';
+      el.setAttribute('data-module-ready', [el.getAttribute('data-module-ready'), name].filter(Boolean).join(' '));
+      entry.resolve(result);
+    })
+    .catch(err => {
+      entry.status = 'failed';
+      console.error(`bootstrap: module "${name}" failed to start`, err);
+      entry.resolve(null);
+    });
+  return entry.promise;
+}
+
+/** resolves with the module's init() result once it has started */
+export function whenReady(name) {
+  return entryFor(name).promise;
+}
+
+function observe(name, el, rootMargin) {
+  if (!('IntersectionObserver' in window)) {
+    load(name);
+    return;
+  }
+  // one observer per margin would be overkill here; modules share the default
+  if (rootMargin !== DEFAULT_MARGIN) {
+    const own = new IntersectionObserver((entries, obs) => {
+      if (entries.some(e => e.isIntersecting)) {
+        obs.disconnect();
+        load(name);
+      }
+    }, { rootMargin });
+    own.observe(el);
+    return;
+  }
+  if (!observer) {
+    observer = new IntersectionObserver(entries => {
+      entries.forEach(e => {
+        if (!e.isIntersecting) return;
+        observer.unobserve(e.target);
+        (e.target.__pendingModules || []).forEach(load);
+        e.target.__pendingModules = null;
+      });
+    }, { rootMargin: DEFAULT_MARGIN });
+  }
+  (el.__pendingModules = el.__pendingModules || []).push(name);
+  observer.observe(el);
+}
+
+/** wire up every registered module; safe to call more than once */
+export function start() {
+  registry.forEach((entry, name) => {
+    if (!entry.options || entry.status !== 'pending' || entry.observed) return;
+    const { selector, eager, rootMargin } = entry.options;
+    const el = selector && document.querySelector(selector);
+    if (eager || !selector || !el) {
+      load(name);
+      return;
+    }
+    entry.observed = true;
+    observe(name, el, rootMargin);
+  });
+}
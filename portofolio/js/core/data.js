@@ -0,0 +1,73 @@
+/** data.js
+ * Shared loaders for the site's JSON data. Every file is fetched once; all
+ * modules asking for it share the same promise. Project records go through
+ * lib/project-check.js on the way in: bad ones are reported and repaired or
+ * skipped, so no module sees an unsafe URL or a project without an id.
+ */
+
+import { translatable } from './i18n.js';
+import { checkProjects } from '../lib/project-check.js';
+
+// profile, education, work, skills and projects in JSON Resume format
+// (https://jsonresume.org/schema); translations live under "translations"
+export const RESUME_URL = 'data/resume.json';
+
+const cache = new Map();
+let projects = null;     // promise of the checked catalogue
+
+export function loadJSON(url) {
+  if (!cache.has(url)) {
+    const request = fetch(url).then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+      return res.json();
+    });
+    // drop failures so a later call can retry
+    request.catch(() => cache.delete(url));
+    cache.set(url, request);
+  }
+  return cache.get(url);
+}
+
+/** the whole resume (data/resume.json), always an object */
+export function loadResume() {
+  return loadJSON(RESUME_URL).then(data => (data && typeof data === 'object' ? data : {}));
+}
+
+// still being worked on: status "in-progress", or a startDate without an
+// endDate (JSON Resume's "ongoing")
+function isOngoing(entry) {
+  return entry.status === 'in-progress' || (!!entry.startDate && !entry.endDate);
+}
+
+/** a checked resume "projects" entry in the shape the portfolio grid and modal use */
+function toProject(entry) {
+  return {
+    id: entry.id,
+    title: translatable(entry, 'name'),
+    summary: translatable(entry, 'summary'),
+    category: entry.category,
+    client: entry.entity,
+    description: translatable(entry, 'description'),
+    tech: entry.keywords,
+    image: entry.image,
+    media: entry.media.map(item => Object.assign({}, item, {
+      alt: translatable(item, 'alt'),
+      caption: translatable(item, 'caption')
+    })),
+    demo: entry.url,
+    source: entry.source,
+    ongoing: isOngoing(entry)
+  };
+}
+
+/**
+ * the portfolio catalogue (resume.projects, see lib/project-check.js), always
+ * an array; checked once, so every module shares the same records
+ */
+export function loadProjects() {
+  if (!projects) {
+    projects = loadResume().then(resume => checkProjects(resume.projects).map(toProject));
+    projects.catch(() => { projects = null; });
+  }
+  return projects;
+}
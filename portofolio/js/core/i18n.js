@@ -0,0 +1,202 @@
+/** i18n.js
+ * English / Indonesian interface. Dictionaries live in js/i18n/<lang>.js.
+ * The language is the saved choice, else the browser's, else English.
+ *
+ * Markup opts in with attributes, re-applied on every language change:
+ *   <h2 data-i18n="about.title">About Me</h2>            textContent
+ *   <p data-i18n-html="contact.subtitle">...</p>         trusted dictionary HTML
+ *   <input data-i18n-attr="placeholder:contact.name">   attributes ("attr:key, attr:key")
+ *   data-i18n-params='{"max":80}'                        placeholder values for data-i18n
+ *
+ * Data records may hold translated fields as { en: '...', id: '...' };
+ * localized() picks the current language. JSON Resume records keep English
+ * in the field itself and other languages under translations.<lang>;
+ * translatable() turns such a field into the { en, id } form.
+ */
+
+import en from '../i18n/en.js';
+import id from '../i18n/id.js';
+import { raw, setHTML } from '../lib/template.js';
+
+const STORAGE_KEY = 'lang';
+const FALLBACK = 'en';
+
+const DICTIONARIES = { en, id };
+export const LANGS = Object.keys(DICTIONARIES);
+
+const listeners = new Set();
+
+let userLang = readSetting();
+let lang = userLang || detect();
+
+function readSetting() {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return LANGS.includes(value) ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeSetting(value) {
+  try {
+    localStorage.setItem(STORAGE_KEY, value);
+  } catch (err) {
+    // not persisted, still applies for this visit
+  }
+}
+
+// first browser language we have a dictionary for ("id-ID" -> "id")
+function detect() {
+  const wanted = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+  for (const tag of wanted) {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    if (LANGS.includes(base)) return base;
+  }
+  return FALLBACK;
+}
+
+function lookup(dict, key) {
+  return key.split('.').reduce((node, part) => (node == null ? node : node[part]), dict);
+}
+
+/**
+ * Translate `key` in the current language, falling back to English and
+ * then to the key itself. `{name}` placeholders are filled from `params`.
+ * Non-string entries (e.g. the Typed role list) are returned as they are.
+ */
+export function t(key, params) {
+  let value = lookup(DICTIONARIES[lang], key);
+  if (value == null) value = lookup(DICTIONARIES[FALLBACK], key);
+  if (value == null) {
+    console.warn(`i18n.js: missing key "${key}"`);
+    return key;
+  }
+  if (typeof value !== 'string' || !params) return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/** pick the current language out of a translated data field */
+export function localized(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  if (value[lang] != null) return value[lang];
+  if (value[FALLBACK] != null) return value[FALLBACK];
+  return Object.values(value)[0];
+}
+
+/**
+ * `item[key]` plus its item.translations.<lang>[key] overrides as a
+ * { en, id } value for localized(); the plain value when nothing is translated.
+ */
+export function translatable(item, key) {
+  if (!item) return undefined;
+  const value = { [FALLBACK]: item[key] };
+  let translated = false;
+  Object.keys(item.translations || {}).forEach(code => {
+    const fields = item.translations[code];
+    if (fields && fields[key] != null) {
+      value[code] = fields[key];
+      translated = true;
+    }
+  });
+  return translated ? value : item[key];
+}
+
+/** shorthand for localized(translatable(item, key)) */
+export function localizedField(item, key) {
+  return localized(translatable(item, key));
+}
+
+/** text helpers for the shared markup builders in js/lib/views.js */
+export function viewContext() {
+  return { t, field: localizedField, lang };
+}
+
+export function getLang() {
+  return lang;
+}
+
+export function onLangChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** give `el` a dictionary text that follows language changes (null clears it) */
+export function bindText(el, key, params) {
+  if (!el) return;
+  if (key) {
+    el.setAttribute('data-i18n', key);
+    if (params) el.setAttribute('data-i18n-params', JSON.stringify(params));
+    else el.removeAttribute('data-i18n-params');
+    el.textContent = t(key, params);
+  } else {
+    el.removeAttribute('data-i18n');
+    el.removeAttribute('data-i18n-params');
+    el.textContent = '';
+  }
+}
+
+function paramsOf(el) {
+  const raw = el.getAttribute('data-i18n-params');
+  if (!raw) return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn('i18n.js: invalid data-i18n-params on', el, err);
+    return undefined;
+  }
+}
+
+/** apply the current language to every data-i18n* element under `root` */
+export function translate(root) {
+  root = root || document;
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.getAttribute('data-i18n'), paramsOf(el));
+  });
+  root.querySelectorAll('[data-i18n-html]').forEach(el => {
+    // the dictionaries are part of the site: their markup is trusted
+    setHTML(el, raw(t(el.getAttribute('data-i18n-html'))));
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+    el.getAttribute('data-i18n-attr').split(',').forEach(pair => {
+      const [attr, key] = pair.split(':').map(s => s.trim());
+      if (attr && key) el.setAttribute(attr, t(key));
+    });
+  });
+}
+
+function apply() {
+  document.documentElement.lang = lang;
+  translate(document);
+  listeners.forEach(fn => {
+    try {
+      fn(lang);
+    } catch (err) {
+      console.error('i18n.js: listener failed', err);
+    }
+  });
+}
+
+export function setLang(next) {
+  if (!LANGS.includes(next)) {
+    console.warn(`i18n.js: unsupported language "${next}"`);
+    return;
+  }
+  userLang = next;
+  writeSetting(next);
+  if (next === lang) return;
+  lang = next;
+  apply();
+}
+
+window.addEventListener('storage', e => {
+  if (e.key !== STORAGE_KEY) return;
+  const next = readSetting();
+  if (next && next !== lang) {
+    userLang = lang = next;
+    apply();
+  }
+});
+
+// module scripts run after parsing, so the markup is already there
+apply();
@@ -0,0 +1,202 @@
+/** motion.js
+ * Motion & performance governor. Every animated feature (particles, Typed,
+ * ScrollReveal, AOS, counters) asks this module whether motion is allowed
+ * and how much detail the device can take.
+ *
+ * - reduced: prefers-reduced-motion, unless the visitor picked something
+ *   else with the "reduce effects" toggle (persisted in localStorage)
+ * - quality: 0 = full detail; watchFps() steps it down while the measured
+ *   frame rate stays low and back up once it recovers
+ *
+ *   onMotionChange(({ reduced, level }) => { ... });
+ */
+
+const STORAGE_KEY = 'reduce-effects';          // 'on' | 'off' | unset (follow the OS)
+const ROOT_CLASS = 'reduce-motion';
+
+// multipliers applied to the particle defaults, one row per quality step
+export const QUALITY_LEVELS = [
+  { particles: 1, distance: 1 },
+  { particles: 0.7, distance: 0.85 },
+  { particles: 0.45, distance: 0.7 },
+  { particles: 0.25, distance: 0.55 }
+];
+
+const SAMPLE_MS = 2000;     // length of one FPS measurement window
+const LOW_FPS = 45;         // below this a window counts as slow
+const HIGH_FPS = 56;        // above this a window counts as smooth
+const RECOVER_AFTER = 3;    // smooth windows in a row before stepping back up
+const MAX_GAP_MS = 250;     // longer frames (tab switch, debugger) restart the window
+
+const media = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+const listeners = new Set();
+
+let userSetting = readSetting();
+let quality = 0;
+
+function readSetting() {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return value === 'on' || value === 'off' ? value : null;
+  } catch (err) {
+    return null;    // storage blocked (private mode, sandboxed iframe)
+  }
+}
+
+function writeSetting(value) {
+  try {
+    if (value) localStorage.setItem(STORAGE_KEY, value);
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (err) {
+    // not persisted, still applies for this visit
+  }
+}
+
+function systemReduced() {
+  return !!(media && media.matches);
+}
+
+/** current state; `level` is the QUALITY_LEVELS row for `quality` */
+export function getMotion() {
+  const system = systemReduced();
+  return {
+    reduced: userSetting ? userSetting === 'on' : system,
+    system,
+    user: userSetting,
+    quality,
+    level: QUALITY_LEVELS[quality]
+  };
+}
+
+export function isReduced() {
+  return getMotion().reduced;
+}
+
+/** listen for any change of reduced / quality; returns an unsubscribe function */
+export function onMotionChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function notify() {
+  const state = getMotion();
+  document.documentElement.classList.toggle(ROOT_CLASS, state.reduced);
+  listeners.forEach(fn => {
+    try {
+      fn(state);
+    } catch (err) {
+      console.error('motion.js: listener failed', err);
+    }
+  });
+}
+
+/**
+ * true/false = the visitor's explicit choice (persisted),
+ * null = forget it and follow prefers-reduced-motion again
+ */
+export function setReduceEffects(value) {
+  userSetting = value == null ? null : (value ? 'on' : 'off');
+  writeSetting(userSetting);
+  notify();
+}
+
+/* ---------- FPS-adaptive quality ---------- */
+
+let watchers = 0;
+let rafId = null;
+let windowStart = 0;
+let lastFrame = 0;
+let frames = 0;
+let smoothWindows = 0;
+
+function resetWindow(now) {
+  windowStart = lastFrame = now;
+  frames = 0;
+}
+
+function sample(now) {
+  rafId = requestAnimationFrame(sample);
+  if (now - lastFrame > MAX_GAP_MS) {
+    resetWindow(now);
+    return;
+  }
+  lastFrame = now;
+  frames++;
+  if (now - windowStart < SAMPLE_MS) return;
+
+  const fps = frames * 1000 / (now - windowStart);
+  resetWindow(now);
+  if (fps < LOW_FPS) {
+    smoothWindows = 0;
+    if (quality < QUALITY_LEVELS.length - 1) {
+      quality++;
+      notify();
+    }
+  } else if (fps > HIGH_FPS && quality > 0 && ++smoothWindows >= RECOVER_AFTER) {
+    smoothWindows = 0;
+    quality--;
+    notify();
+  }
+}
+
+function onVisibility() {
+  if (document.visibilityState === 'visible') resetWindow(performance.now());
+}
+
+/**
+ * Measure the frame rate while at least one caller needs it.
+ * Returns a function that ends this caller's interest.
+ */
+export function watchFps() {
+  let active = true;
+  if (watchers++ === 0) {
+    resetWindow(performance.now());
+    document.addEventListener('visibilitychange', onVisibility);
+    rafId = requestAnimationFrame(sample);
+  }
+  return () => {
+    if (!active) return;
+    active = false;
+    if (--watchers > 0) return;
+    cancelAnimationFrame(rafId);
+    rafId = null;
+    document.removeEventListener('visibilitychange', onVisibility);
+  };
+}
+
+/* ---------- off-screen work ---------- */
+
+/**
+ * Call `fn(visible)` whenever `el` enters or leaves the viewport so loops
+ * can pause while nobody can see them. Returns a disconnect function.
+ */
+export function whenVisible(el, fn) {
+  if (!('IntersectionObserver' in window)) {
+    fn(true);
+    return () => {};
+  }
+  const observer = new IntersectionObserver(entries => {
+    fn(entries[entries.length - 1].isIntersecting);
+  });
+  observer.observe(el);
+  return () => observer.disconnect();
+}
+
+/* ---------- wiring ---------- */
+
+if (media) {
+  const onSystemChange = () => {
+    if (!userSetting) notify();
+  };
+  if (media.addEventListener) media.addEventListener('change', onSystemChange);
+  else if (media.addListener) media.addListener(onSystemChange);
+}
+
+// another tab flipped the toggle
+window.addEventListener('storage', e => {
+  if (e.key !== STORAGE_KEY) return;
+  userSetting = readSetting();
+  notify();
+});
+
+document.documentElement.classList.toggle(ROOT_CLASS, getMotion().reduced);
@@ -0,0 +1,18 @@
+/** prerender.js
+ * Pages built by tools/prerender.mjs already hold the markup the modules
+ * would render: every element the build filled carries
+ * data-prerendered="<lang>". A module asks hydrates(el) before its first
+ * render and, when it answers true, keeps the markup and only wires up
+ * behaviour. The answer is true once per element, and only while the page
+ * is in the language it was built in; later renders replace the markup as
+ * usual.
+ */
+
+import { getLang } from './i18n.js';
+
+export function hydrates(el) {
+  if (!el || !el.hasAttribute('data-prerendered')) return false;
+  const lang = el.getAttribute('data-prerendered');
+  el.removeAttribute('data-prerendered');
+  return lang === getLang();
+}
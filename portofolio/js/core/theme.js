@@ -0,0 +1,146 @@
+/** theme.js
+ * Theme engine: dark, light and high-contrast palettes. The palettes live
+ * in css/style.css as custom properties under html[data-theme]; this module
+ * picks the theme (saved choice, else prefers-contrast / prefers-color-scheme),
+ * sets the attribute and tells canvas/inline-style users to repaint.
+ *
+ *   onThemeChange(({ name }) => system.setOptions(particleColors()));
+ */
+
+const STORAGE_KEY = 'theme';
+
+export const THEMES = ['dark', 'light', 'contrast'];
+
+const LIGHT_SHADE = -0.2;   // brand gradients are darkened this much on the light theme
+
+const schemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+const contrastQuery = window.matchMedia ? window.matchMedia('(prefers-contrast: more)') : null;
+const listeners = new Set();
+
+let userTheme = readSetting();
+
+function readSetting() {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return THEMES.includes(value) ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeSetting(value) {
+  try {
+    if (value) localStorage.setItem(STORAGE_KEY, value);
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (err) {
+    // not persisted, still applies for this visit
+  }
+}
+
+function systemTheme() {
+  if (contrastQuery && contrastQuery.matches) return 'contrast';
+  if (schemeQuery && schemeQuery.matches) return 'light';
+  return 'dark';
+}
+
+export function getTheme() {
+  const system = systemTheme();
+  return { name: userTheme || system, system, user: userTheme };
+}
+
+export function onThemeChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function apply() {
+  const state = getTheme();
+  document.documentElement.setAttribute('data-theme', state.name);
+  listeners.forEach(fn => {
+    try {
+      fn(state);
+    } catch (err) {
+      console.error('theme.js: listener failed', err);
+    }
+  });
+}
+
+/** a name from THEMES is saved as the visitor's choice; null follows the OS again */
+export function setTheme(name) {
+  if (name != null && !THEMES.includes(name)) {
+    console.warn(`theme.js: unknown theme "${name}"`);
+    return;
+  }
+  userTheme = name || null;
+  writeSetting(userTheme);
+  apply();
+}
+
+/** the theme after the current one, for a cycling toggle */
+export function nextTheme() {
+  const i = THEMES.indexOf(getTheme().name);
+  return THEMES[(i + 1) % THEMES.length];
+}
+
+/* ---------- values for JS-painted things ---------- */
+
+export function cssVar(name) {
+  return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+/** ParticleSystem options for the current palette */
+export function particleColors() {
+  const [r, g, b] = cssVar('--particle-rgb').split(',').map(Number);
+  const lineAlpha = parseFloat(cssVar('--particle-line-alpha'));
+  const colors = {};
+  if ([r, g, b].every(n => Number.isFinite(n))) colors.color = { r, g, b };
+  if (Number.isFinite(lineAlpha)) colors.lineAlpha = lineAlpha;
+  return colors;
+}
+
+// #rrggbb / #rgb lightened (amount > 0) or darkened (amount < 0)
+function shade(hex, amount) {
+  let h = String(hex).trim().replace('#', '');
+  if (h.length === 3) h = h.replace(/./g, c => c + c);
+  if (!/^[0-9a-f]{6}$/i.test(h)) return hex;
+  const target = amount < 0 ? 0 : 255;
+  const out = [0, 2, 4].map(i => {
+    const c = parseInt(h.slice(i, i + 2), 16);
+    return Math.round(c + (target - c) * Math.abs(amount)).toString(16).padStart(2, '0');
+  });
+  return '#' + out.join('');
+}
+
+/** the two stops of a skill bar (data-color1 / data-color2) under the current theme */
+export function skillColors(color1, color2) {
+  switch (getTheme().name) {
+    case 'light':
+      return [shade(color1, LIGHT_SHADE), shade(color2, LIGHT_SHADE)];
+    case 'contrast': {
+      const solid = cssVar('--neon-color') || '#ff0';
+      return [solid, solid];
+    }
+    default:
+      return [color1, color2];
+  }
+}
+
+/* ---------- wiring ---------- */
+
+function onSystemChange() {
+  if (!userTheme) apply();
+}
+
+[schemeQuery, contrastQuery].forEach(query => {
+  if (!query) return;
+  if (query.addEventListener) query.addEventListener('change', onSystemChange);
+  else if (query.addListener) query.addListener(onSystemChange);
+});
+
+window.addEventListener('storage', e => {
+  if (e.key !== STORAGE_KEY) return;
+  userTheme = readSetting();
+  apply();
+});
+
+document.documentElement.setAttribute('data-theme', getTheme().name);
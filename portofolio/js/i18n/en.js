@@ -0,0 +1,217 @@
+/** en.js
+ * English dictionary. Keys are looked up by js/core/i18n.js; `{name}`
+ * placeholders are filled from the params passed to t().
+ */
+
+export default {
+  meta: {
+    name: 'English',
+    short: 'EN'
+  },
+  nav: {
+    home: 'Home',
+    about: 'About▾',
+    aboutMe: 'About Me',
+    skills: 'Skill',
+    education: 'Education',
+    portfolio: 'Portfolio',
+    contact: 'Contact',
+    language: 'Language',
+    reduceEffects: 'Reduce effects',
+    theme: 'Theme: {name}',
+    switchTheme: 'Switch to {name} theme'
+  },
+  theme: {
+    dark: 'Dark',
+    light: 'Light',
+    contrast: 'High contrast'
+  },
+  hero: {
+    greeting: "Hi, I'm",
+    about: 'About Me',
+    work: 'View My Work',
+    contact: 'Contact Me'
+  },
+  about: {
+    title: 'About Me',
+    photoAlt: 'Portrait of Muhammad Adzka Lainufar',
+    fullName: 'Full Name:',
+    age: 'Age:',
+    address: 'Address:',
+    nationality: 'Nationality:',
+    cv: 'Download CV'
+  },
+  skills: {
+    title: '🚀 My Skills',
+    view: 'Skills view',
+    bars: 'Bars',
+    chart: 'Chart',
+    usedIn: {
+      none: 'Not used in a project yet',
+      one: 'Used in 1 project',
+      other: 'Used in {count} projects'
+    },
+    categories: {
+      languages: 'Languages',
+      frameworks: 'Frameworks',
+      tools: 'Tools',
+      other: 'Other'
+    },
+    table: {
+      caption: 'Skill levels',
+      skill: 'Skill',
+      category: 'Category',
+      level: 'Level',
+      percent: 'Proficiency'
+    }
+  },
+  education: {
+    title: 'Education',
+    schoolLogo: 'School Logo',
+    gpa: 'GPA',
+    now: 'Now',
+    soon: 'Coming Soon'
+  },
+  experience: {
+    title: 'Experience',
+    skillsUsed: 'Skills Used',
+    card: '{position} card',
+    present: 'Present',
+    filter: 'Filter roles by skill',
+    all: 'All',
+    duration: {
+      year: '{count} yr',
+      years: '{count} yrs',
+      month: '{count} mo',
+      months: '{count} mos'
+    }
+  },
+  cv: {
+    print: 'Print / Save as PDF',
+    back: 'Back to the site',
+    profile: 'Profile',
+    skills: 'Skills',
+    projects: 'Selected Projects',
+    levels: {
+      beginner: 'Beginner',
+      intermediate: 'Intermediate',
+      advanced: 'Advanced',
+      expert: 'Expert',
+      master: 'Master'
+    }
+  },
+  palette: {
+    open: 'Search the site ({shortcut})',
+    title: 'Command palette',
+    placeholder: 'Jump to a section, project, skill or action...',
+    hint: '↑ ↓ to move · Enter to open · Esc to close',
+    empty: 'Nothing matches "{query}".',
+    result: '1 result',
+    results: '{count} results',
+    groups: {
+      recent: 'Recent',
+      sections: 'Sections',
+      projects: 'Projects',
+      skills: 'Skills',
+      actions: 'Actions'
+    },
+    actions: {
+      copyEmail: 'Copy e-mail address',
+      message: 'Send a message',
+      whatsapp: 'Open WhatsApp chat',
+      language: 'Switch language',
+      cv: 'Download CV'
+    },
+    copied: 'E-mail address copied: {email}',
+    copyFailed: 'Could not copy. The address is {email}'
+  },
+  pwa: {
+    install: 'Install app',
+    installed: 'App installed',
+    offlineReady: 'This site now works offline',
+    updateReady: 'A new version of this site is available.',
+    reload: 'Reload',
+    later: 'Later'
+  },
+  portfolio: {
+    title: 'Portfolio',
+    completed: 'Projects Completed',
+    inProgress: 'Projects In Progress',
+    search: 'Search title, tech, client...',
+    searchLabel: 'Search projects',
+    all: 'All',
+    web: 'Web',
+    desktop: 'Dekstop',
+    mobile: 'Mobile',
+    uiux: 'UI/UX',
+    tags: 'Filter by technology',
+    techUsage: {
+      one: '1 project',
+      other: '{count} projects'
+    },
+    loadMore: 'Load More',
+    viewDetails: 'View Details',
+    noMatch: 'No projects match your filters.',
+    noMatchFor: 'No projects match your filters for "{query}".',
+    clearFilters: 'Clear filters',
+    loadFailed: 'Projects could not be loaded right now.'
+  },
+  modal: {
+    close: 'Close project details',
+    prev: 'Previous project',
+    next: 'Next project',
+    client: 'Client:',
+    tech: 'Tech Stack:',
+    techFilter: 'Show every project using {tech}',
+    demo: 'Live Demo',
+    source: 'Source Code'
+  },
+  gallery: {
+    prev: 'Previous image',
+    next: 'Next image',
+    open: 'Open fullscreen viewer',
+    media: 'Project media',
+    showImage: 'Show image {index} of {count}',
+    showVideo: 'Show video {index} of {count}',
+    alt: '{title} screenshot {index}',
+    untitled: 'Project',
+    viewer: 'Image viewer',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    fullscreen: 'Toggle fullscreen',
+    close: 'Close viewer'
+  },
+  contact: {
+    title: "Let's Get in Touch",
+    subtitle: 'Fill in this form to contact me. I will reply as soon as possible 🚀',
+    name: 'Name',
+    email: 'Email',
+    message: 'Your message...',
+    send: 'Send Message',
+    sending: 'Sending...',
+    channelsHint: 'Or send the same message with:',
+    channelsDisabled: 'Fill in your name, e-mail and message first',
+    emailChannel: 'E-mail',
+    compose: {
+      subject: 'Message from {name} (portfolio)',
+      text: "Hi, I'm {name} ({email}).\n\n{message}"
+    },
+    counter: '{count} / {max}',
+    reasons: {
+      required: 'This field is required',
+      invalidEmail: 'Invalid email address',
+      tooShort: 'Please write at least {min} characters',
+      tooLong: 'Please keep it under {max} characters',
+      linkInName: 'Names cannot contain links',
+      markup: 'Please send links as plain text, without HTML or BBCode',
+      tooManyLinks: 'Please include no more than {max} links',
+      bot: 'This message looks automated and was not sent',
+      tooFast: 'That was quick! Please check your message and send it again',
+      cooldown: 'You just sent a message. Please wait {seconds} s before sending another one'
+    },
+    sent: '✅ Message sent!',
+    sentLater: '✅ Your saved message has been sent.',
+    queued: "📥 Couldn't reach the server. Your message is saved and will be sent automatically.",
+    failed: '❌ The message could not be sent. Please try again later.'
+  }
+};
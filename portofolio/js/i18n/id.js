@@ -0,0 +1,217 @@
+/** id.js
+ * Kamus Bahasa Indonesia. Kunci yang sama dengan en.js; kunci yang belum
+ * diterjemahkan otomatis memakai teks bahasa Inggris.
+ */
+
+export default {
+  meta: {
+    name: 'Bahasa Indonesia',
+    short: 'ID'
+  },
+  nav: {
+    home: 'Beranda',
+    about: 'Tentang▾',
+    aboutMe: 'Tentang Saya',
+    skills: 'Keahlian',
+    education: 'Pendidikan',
+    portfolio: 'Portofolio',
+    contact: 'Kontak',
+    language: 'Bahasa',
+    reduceEffects: 'Kurangi efek',
+    theme: 'Tema: {name}',
+    switchTheme: 'Ganti ke tema {name}'
+  },
+  theme: {
+    dark: 'Gelap',
+    light: 'Terang',
+    contrast: 'Kontras tinggi'
+  },
+  hero: {
+    greeting: 'Halo, saya',
+    about: 'Tentang Saya',
+    work: 'Lihat Karya Saya',
+    contact: 'Hubungi Saya'
+  },
+  about: {
+    title: 'Tentang Saya',
+    photoAlt: 'Foto Muhammad Adzka Lainufar',
+    fullName: 'Nama Lengkap:',
+    age: 'Usia:',
+    address: 'Alamat:',
+    nationality: 'Kewarganegaraan:',
+    cv: 'Unduh CV'
+  },
+  skills: {
+    title: '🚀 Keahlian Saya',
+    view: 'Tampilan keahlian',
+    bars: 'Batang',
+    chart: 'Grafik',
+    usedIn: {
+      none: 'Belum dipakai di proyek',
+      one: 'Dipakai di 1 proyek',
+      other: 'Dipakai di {count} proyek'
+    },
+    categories: {
+      languages: 'Bahasa',
+      frameworks: 'Framework',
+      tools: 'Alat',
+      other: 'Lainnya'
+    },
+    table: {
+      caption: 'Tingkat keahlian',
+      skill: 'Keahlian',
+      category: 'Kategori',
+      level: 'Tingkat',
+      percent: 'Penguasaan'
+    }
+  },
+  education: {
+    title: 'Pendidikan',
+    schoolLogo: 'Logo Sekolah',
+    gpa: 'Nilai rata-rata',
+    now: 'Sekarang',
+    soon: 'Segera'
+  },
+  experience: {
+    title: 'Pengalaman',
+    skillsUsed: 'Keahlian yang Dipakai',
+    card: 'Kartu {position}',
+    present: 'Sekarang',
+    filter: 'Saring peran berdasarkan keahlian',
+    all: 'Semua',
+    duration: {
+      year: '{count} thn',
+      years: '{count} thn',
+      month: '{count} bln',
+      months: '{count} bln'
+    }
+  },
+  cv: {
+    print: 'Cetak / Simpan sebagai PDF',
+    back: 'Kembali ke situs',
+    profile: 'Profil',
+    skills: 'Keahlian',
+    projects: 'Proyek Pilihan',
+    levels: {
+      beginner: 'Pemula',
+      intermediate: 'Menengah',
+      advanced: 'Mahir',
+      expert: 'Ahli',
+      master: 'Master'
+    }
+  },
+  palette: {
+    open: 'Cari di situs ({shortcut})',
+    title: 'Palet perintah',
+    placeholder: 'Lompat ke bagian, proyek, keahlian atau aksi...',
+    hint: '↑ ↓ untuk memilih · Enter untuk membuka · Esc untuk menutup',
+    empty: 'Tidak ada yang cocok dengan "{query}".',
+    result: '1 hasil',
+    results: '{count} hasil',
+    groups: {
+      recent: 'Terakhir dibuka',
+      sections: 'Bagian',
+      projects: 'Proyek',
+      skills: 'Keahlian',
+      actions: 'Aksi'
+    },
+    actions: {
+      copyEmail: 'Salin alamat e-mail',
+      message: 'Kirim pesan',
+      whatsapp: 'Buka chat WhatsApp',
+      language: 'Ganti bahasa',
+      cv: 'Unduh CV'
+    },
+    copied: 'Alamat e-mail disalin: {email}',
+    copyFailed: 'Gagal menyalin. Alamatnya {email}'
+  },
+  pwa: {
+    install: 'Pasang aplikasi',
+    installed: 'Aplikasi terpasang',
+    offlineReady: 'Situs ini sekarang bisa dibuka offline',
+    updateReady: 'Versi baru situs ini tersedia.',
+    reload: 'Muat ulang',
+    later: 'Nanti'
+  },
+  portfolio: {
+    title: 'Portofolio',
+    completed: 'Proyek Selesai',
+    inProgress: 'Proyek Berjalan',
+    search: 'Cari judul, teknologi, klien...',
+    searchLabel: 'Cari proyek',
+    all: 'Semua',
+    web: 'Web',
+    desktop: 'Desktop',
+    mobile: 'Mobile',
+    uiux: 'UI/UX',
+    tags: 'Saring berdasarkan teknologi',
+    techUsage: {
+      one: '1 proyek',
+      other: '{count} proyek'
+    },
+    loadMore: 'Muat Lagi',
+    viewDetails: 'Lihat Detail',
+    noMatch: 'Tidak ada proyek yang cocok dengan filter.',
+    noMatchFor: 'Tidak ada proyek yang cocok dengan filter untuk "{query}".',
+    clearFilters: 'Hapus filter',
+    loadFailed: 'Proyek belum bisa dimuat saat ini.'
+  },
+  modal: {
+    close: 'Tutup detail proyek',
+    prev: 'Proyek sebelumnya',
+    next: 'Proyek berikutnya',
+    client: 'Klien:',
+    tech: 'Teknologi:',
+    techFilter: 'Tampilkan semua proyek yang memakai {tech}',
+    demo: 'Demo',
+    source: 'Kode Sumber'
+  },
+  gallery: {
+    prev: 'Gambar sebelumnya',
+    next: 'Gambar berikutnya',
+    open: 'Buka penampil layar penuh',
+    media: 'Media proyek',
+    showImage: 'Tampilkan gambar {index} dari {count}',
+    showVideo: 'Tampilkan video {index} dari {count}',
+    alt: 'Tangkapan layar {title} {index}',
+    untitled: 'Proyek',
+    viewer: 'Penampil gambar',
+    zoomIn: 'Perbesar',
+    zoomOut: 'Perkecil',
+    fullscreen: 'Layar penuh',
+    close: 'Tutup penampil'
+  },
+  contact: {
+    title: 'Mari Terhubung',
+    subtitle: 'Isi formulir ini untuk menghubungi saya. Saya akan membalas secepatnya 🚀',
+    name: 'Nama',
+    email: 'Email',
+    message: 'Pesan Anda...',
+    send: 'Kirim Pesan',
+    sending: 'Mengirim...',
+    channelsHint: 'Atau kirim pesan yang sama lewat:',
+    channelsDisabled: 'Isi nama, email, dan pesan terlebih dahulu',
+    emailChannel: 'Email',
+    compose: {
+      subject: 'Pesan dari {name} (portofolio)',
+      text: 'Halo, saya {name} ({email}).\n\n{message}'
+    },
+    counter: '{count} / {max}',
+    reasons: {
+      required: 'Field ini wajib diisi',
+      invalidEmail: 'Email tidak valid',
+      tooShort: 'Tulis minimal {min} karakter',
+      tooLong: 'Maksimal {max} karakter',
+      linkInName: 'Nama tidak boleh berisi tautan',
+      markup: 'Kirim tautan sebagai teks biasa, tanpa HTML atau BBCode',
+      tooManyLinks: 'Sertakan paling banyak {max} tautan',
+      bot: 'Pesan ini terdeteksi otomatis dan tidak dikirim',
+      tooFast: 'Cepat sekali! Periksa kembali pesan Anda lalu kirim lagi',
+      cooldown: 'Anda baru saja mengirim pesan. Tunggu {seconds} detik sebelum mengirim lagi'
+    },
+    sent: '✅ Pesan berhasil terkirim!',
+    sentLater: '✅ Pesan yang tersimpan sudah terkirim.',
+    queued: '📥 Server tidak terjangkau. Pesan Anda disimpan dan akan dikirim otomatis.',
+    failed: '❌ Pesan tidak dapat dikirim. Coba lagi nanti.'
+  }
+};
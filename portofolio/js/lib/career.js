@@ -0,0 +1,109 @@
+/** career.js
+ * Date maths, ordering and skill lookups for the experience timeline
+ * (resume.work). JSON Resume dates are ISO 8601 and may be partial:
+ * "2023", "2023-04" or "2023-04-15".
+ */
+
+/** { year, month (0-11), precise (month known) } or null */
+export function parseDate(value) {
+  const match = /^(\d{4})(?:-(\d{2}))?/.exec(String(value || ''));
+  if (!match) return null;
+  const month = match[2] ? +match[2] - 1 : 0;
+  if (month < 0 || month > 11) return null;
+  return { year: +match[1], month, precise: !!match[2] };
+}
+
+function monthIndex(date) {
+  return date.year * 12 + date.month;
+}
+
+/**
+ * Whole months from `start` to `end` (no end: until `now`). A month-precise
+ * end counts its own month, as CVs do (Jan - Mar = 3 mos); year-only ranges
+ * count whole years ("2023" - "2024" = 1 yr). null when a date is unreadable.
+ */
+export function monthsBetween(start, end, now) {
+  const from = parseDate(start);
+  if (!from) return null;
+  let to;
+  if (end) {
+    to = parseDate(end);
+    if (!to) return null;
+  } else {
+    const today = now || new Date();
+    to = { year: today.getFullYear(), month: today.getMonth(), precise: true };
+  }
+  return Math.max(0, monthIndex(to) - monthIndex(from) + (to.precise ? 1 : 0));
+}
+
+/** { years, months } out of a month count */
+export function splitMonths(total) {
+  return { years: Math.floor(total / 12), months: total % 12 };
+}
+
+/** "Apr 2023" in `locale`, or just "2023" when the month is not known */
+export function formatDate(value, locale) {
+  const date = parseDate(value);
+  if (!date) return '';
+  if (!date.precise) return String(date.year);
+  return new Date(date.year, date.month, 1).toLocaleDateString(locale, { month: 'short', year: 'numeric' });
+}
+
+/**
+ * "1 yr 3 mos" out of a month count. `label(unit, count)` words each part,
+ * unit being 'year' | 'years' | 'month' | 'months'.
+ */
+export function formatDuration(total, label) {
+  if (total == null) return '';
+  const { years, months } = splitMonths(total);
+  const parts = [];
+  if (years) parts.push(label(years === 1 ? 'year' : 'years', years));
+  if (months || !years) parts.push(label(months === 1 ? 'month' : 'months', months));
+  return parts.join(' ');
+}
+
+/**
+ * Newest first: ongoing roles (a start date, no end date) on top, then by
+ * end date, then by start date. Roles without a usable start date cannot be
+ * placed and go last, in their original order.
+ */
+export function sortByDate(jobs) {
+  const key = value => {
+    const date = parseDate(value);
+    return date ? monthIndex(date) : null;
+  };
+  const rank = job => {
+    const start = key(job.startDate);
+    if (start == null) return { start: -Infinity, end: -Infinity };
+    const end = job.endDate ? key(job.endDate) : Infinity;
+    return { start, end: end == null ? start : end };   // unreadable end: as if it ended right away
+  };
+  const desc = (x, y) => (x === y ? 0 : (y > x ? 1 : -1));
+  return jobs.map(job => ({ job, rank: rank(job) }))
+    .sort((a, b) => desc(a.rank.end, b.rank.end) || desc(a.rank.start, b.rank.start))
+    .map(entry => entry.job);
+}
+
+/** skill names of one role: its keywords plus its skill bars, without duplicates */
+export function skillsOf(job) {
+  const seen = new Map();
+  (job.keywords || []).concat((job.skills || []).map(s => s && s.name)).forEach(name => {
+    if (typeof name !== 'string' || !name.trim()) return;
+    const key = name.trim().toLowerCase();
+    if (!seen.has(key)) seen.set(key, name.trim());
+  });
+  return [...seen.values()];
+}
+
+/** every skill over all roles, most used first */
+export function allSkills(jobs) {
+  const usage = new Map();
+  jobs.forEach(job => skillsOf(job).forEach(name => usage.set(name, (usage.get(name) || 0) + 1)));
+  return [...usage.keys()].sort((a, b) => usage.get(b) - usage.get(a) || a.localeCompare(b));
+}
+
+/** does `job` use `skill` (case-insensitive)? */
+export function hasSkill(job, skill) {
+  const wanted = String(skill).toLowerCase();
+  return skillsOf(job).some(name => name.toLowerCase() === wanted);
+}
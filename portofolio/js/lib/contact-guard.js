@@ -0,0 +1,84 @@
+/** contact-guard.js
+ * Anti-abuse checks for the contact form. Every check answers with null
+ * (fine) or { reason, params }; `reason` is a short code the form turns into
+ * a localised message (contact.reasons.<reason> in the dictionaries).
+ *
+ * - field rules: required, e-mail shape, length limits, link spam
+ * - honeypot: a hidden field only bots fill in
+ * - time-to-submit: humans need a few seconds to write anything
+ * - cooldown: one message per browser per COOLDOWN_MS (kept in localStorage)
+ */
+
+export const LIMITS = {
+  name: { min: 2, max: 80 },
+  email: { max: 254 },
+  message: { min: 10, max: 2000 }
+};
+
+export const HONEYPOT = '_gotcha';          // Formspree drops submissions that fill it, too
+export const MIN_FILL_MS = 3000;
+export const COOLDOWN_MS = 60 * 1000;
+const MAX_LINKS = 2;                        // links allowed in the message
+const COOLDOWN_KEY = 'contact-last-sent';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[^\s@.]{2,}$/;
+const LINK_RE = /\b(?:https?:\/\/|www\.)\S+/gi;          // global: used with match() only
+const HAS_LINK_RE = /\b(?:https?:\/\/|www\.)\S/i;
+const MARKUP_LINK_RE = /\[url[=\]]|<a\s+href/i;
+
+function fail(reason, params) {
+  return { reason, params: params || null };
+}
+
+/** check one field by name; unknown fields only need to be non-empty when required */
+export function checkField(name, value, required) {
+  const text = String(value == null ? '' : value).trim();
+  const limits = LIMITS[name] || {};
+
+  if (!text) return required === false ? null : fail('required');
+  if (limits.min && text.length < limits.min) return fail('tooShort', { min: limits.min });
+  if (limits.max && text.length > limits.max) return fail('tooLong', { max: limits.max });
+
+  if (name === 'email' && !EMAIL_RE.test(text)) return fail('invalidEmail');
+  if (name === 'name' && (HAS_LINK_RE.test(text) || MARKUP_LINK_RE.test(text))) return fail('linkInName');
+  if (name === 'message') {
+    if (MARKUP_LINK_RE.test(text)) return fail('markup');
+    const links = text.match(LINK_RE) || [];
+    if (links.length > MAX_LINKS) return fail('tooManyLinks', { max: MAX_LINKS });
+  }
+  return null;
+}
+
+/**
+ * Form-level checks, run once the fields are valid.
+ * @param {object} info  { honeypot, startedAt, now }
+ */
+export function checkSubmission(info) {
+  const now = info.now || Date.now();
+  if (info.honeypot) return fail('bot');
+  const wait = cooldownLeft(now);
+  if (wait > 0) return fail('cooldown', { seconds: Math.ceil(wait / 1000) });
+  if (info.startedAt && now - info.startedAt < MIN_FILL_MS) return fail('tooFast');
+  return null;
+}
+
+/* ---------- cooldown ---------- */
+
+export function cooldownLeft(now) {
+  let last = 0;
+  try {
+    last = +localStorage.getItem(COOLDOWN_KEY) || 0;
+  } catch (err) {
+    // no storage, no cooldown across reloads
+  }
+  return Math.max(0, last + COOLDOWN_MS - (now || Date.now()));
+}
+
+/** start the cooldown (call once a message was sent or queued) */
+export function markSent(now) {
+  try {
+    localStorage.setItem(COOLDOWN_KEY, String(now || Date.now()));
+  } catch (err) {
+    // ignore
+  }
+}
@@ -0,0 +1,101 @@
+/** contact-transport.js
+ * Where contact messages go. Every transport has the same shape:
+ *
+ *   const transport = createTransport('webhook', { endpoint: 'https://...' });
+ *   transport.send({ name, email, message }).then(...);
+ *
+ * send() resolves once the endpoint accepted the message and rejects with an
+ * Error carrying `retryable` (network trouble, 5xx, 429: worth queueing) and
+ * `status` (HTTP status, 0 for network errors).
+ *
+ * - formspree: form-encoded POST, as Formspree expects it
+ * - webhook:   JSON POST ({ ...fields, sentAt, page }) to any endpoint
+ * - dev:       never leaves the browser; logs the message and answers after
+ *              a short delay, failing like the network while offline
+ */
+
+function transportError(message, status, retryable) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryable = retryable;
+  return err;
+}
+
+// fetch() wrapper shared by the HTTP transports
+function post(endpoint, init) {
+  return fetch(endpoint, Object.assign({ method: 'POST' }, init)).then(
+    response => {
+      if (response.ok) return response;
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      throw transportError(`HTTP ${response.status} from ${endpoint}`, response.status, retryable);
+    },
+    err => {
+      throw transportError(err && err.message ? err.message : 'Network error', 0, true);
+    }
+  );
+}
+
+const TRANSPORTS = {
+  formspree(options) {
+    return {
+      name: 'formspree',
+      send(fields) {
+        const body = new FormData();
+        Object.keys(fields).forEach(key => body.append(key, fields[key]));
+        return post(options.endpoint, { body, headers: { 'Accept': 'application/json' } });
+      }
+    };
+  },
+
+  webhook(options) {
+    return {
+      name: 'webhook',
+      send(fields) {
+        const body = JSON.stringify(Object.assign({}, fields, {
+          sentAt: new Date().toISOString(),
+          page: location.href
+        }));
+        return post(options.endpoint, {
+          body,
+          headers: Object.assign({ 'Content-Type': 'application/json', 'Accept': 'application/json' }, options.headers)
+        });
+      }
+    };
+  },
+
+  dev(options) {
+    const delay = options.delay == null ? 600 : options.delay;
+    return {
+      name: 'dev',
+      send(fields) {
+        return new Promise((resolve, reject) => {
+          setTimeout(() => {
+            if (!navigator.onLine) {
+              reject(transportError('Offline (dev transport)', 0, true));
+              return;
+            }
+            console.info('[contact:dev] message received', fields);
+            resolve({ ok: true, status: 200 });
+          }, delay);
+        });
+      }
+    };
+  }
+};
+
+/**
+ * @param {string} type  'formspree' | 'webhook' | 'dev'
+ * @param {object} [options]  { endpoint, headers, delay }
+ */
+export function createTransport(type, options) {
+  options = options || {};
+  const factory = TRANSPORTS[type];
+  if (!factory) throw new Error(`contact-transport.js: unknown transport "${type}"`);
+  if (type !== 'dev' && !options.endpoint) throw new Error(`contact-transport.js: "${type}" needs an endpoint`);
+  return factory(options);
+}
+
+/** register another transport under `type` (e.g. a mail API client) */
+export function defineTransport(type, factory) {
+  TRANSPORTS[type] = factory;
+}
@@ -0,0 +1,167 @@
+/** counter.js
+ * Count-up number: runs from `from` to its target on requestAnimationFrame
+ * in a fixed time with an easing curve, so 5 and 50 000 take equally long.
+ * Values are formatted with Intl.NumberFormat (locale, fixed decimals) and
+ * wrapped in an optional prefix / suffix. One counter per element: a new one
+ * on the same element stops the old one first.
+ *
+ *   const counter = new Counter(el, { target: 1234.5, decimals: 1, suffix: '+' });
+ *   counter.start();
+ *
+ * Options can come from data attributes (optionsFrom()):
+ *
+ *   <span data-target="4.5" data-decimals="1" data-prefix="~" data-suffix="+"
+ *         data-duration="2000" data-easing="easeOutExpo">
+ *   <span data-source="count:.project-card">   computed target, see resolveTarget()
+ */
+
+export const EASINGS = {
+  linear: t => t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeOutExpo: t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+const DEFAULTS = {
+  target: 0,
+  from: 0,
+  duration: 1500,          // ms, whatever the target
+  easing: 'easeOutCubic',  // name in EASINGS or a function of t (0..1)
+  decimals: 0,
+  locale: undefined,       // string or function returning one (current language)
+  prefix: '',
+  suffix: ''
+};
+
+const instances = new WeakMap();   // element -> running Counter
+const formats = new Map();         // 'locale|decimals' -> Intl.NumberFormat
+const SOURCES = {};
+
+/* ---------- formatting ---------- */
+
+function numberFormat(locale, decimals) {
+  const key = `${locale || ''}|${decimals}`;
+  if (!formats.has(key)) {
+    let format;
+    try {
+      format = new Intl.NumberFormat(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    } catch (err) {
+      format = new Intl.NumberFormat(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    }
+    formats.set(key, format);
+  }
+  return formats.get(key);
+}
+
+/** "~1,234.5+" out of 1234.5 and { locale, decimals, prefix, suffix } */
+export function formatCount(value, options) {
+  const o = Object.assign({}, DEFAULTS, options);
+  const locale = typeof o.locale === 'function' ? o.locale() : o.locale;
+  return o.prefix + numberFormat(locale, o.decimals).format(value) + o.suffix;
+}
+
+/** decimals written in a number string: "4.50" -> 2 */
+export function decimalsOf(text) {
+  const match = /\.(\d+)$/.exec(String(text).trim());
+  return match ? match[1].length : 0;
+}
+
+/** counter options read from the element's data-* attributes */
+export function optionsFrom(el) {
+  const data = el.dataset;
+  const options = {};
+  if (data.target != null) {
+    options.target = Number(data.target) || 0;
+    options.decimals = decimalsOf(data.target);
+  }
+  if (data.decimals != null) options.decimals = Math.max(0, parseInt(data.decimals, 10) || 0);
+  if (data.from != null) options.from = Number(data.from) || 0;
+  if (data.duration != null) options.duration = Math.max(0, Number(data.duration) || 0);
+  if (data.easing) options.easing = data.easing;
+  if (data.prefix) options.prefix = data.prefix;
+  if (data.suffix) options.suffix = data.suffix;
+  return options;
+}
+
+/* ---------- computed targets ---------- */
+
+/** register a named source: `fn()` returns the target or a promise of it */
+export function defineSource(name, fn) {
+  SOURCES[name] = fn;
+}
+
+/**
+ * Target for a data-source value: "count:<selector>" counts matching
+ * elements at the time it is asked (mind lazily rendered lists), anything
+ * else names a source from defineSource(). Always a promise.
+ */
+export function resolveTarget(source) {
+  return Promise.resolve().then(() => {
+    const spec = String(source || '');
+    if (spec.startsWith('count:')) return document.querySelectorAll(spec.slice(6)).length;
+    const fn = SOURCES[spec];
+    if (!fn) throw new Error(`counter.js: unknown source "${spec}"`);
+    return fn();
+  }).then(value => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(`counter.js: source "${source}" gave ${value}`);
+    return number;
+  });
+}
+
+/* ---------- Counter ---------- */
+
+export function Counter(el, options) {
+  const previous = instances.get(el);
+  if (previous) previous.stop();
+  instances.set(el, this);
+
+  this.el = el;
+  this.options = Object.assign({}, DEFAULTS, options);
+  this.value = this.options.from;
+  this.frame = null;
+}
+
+Counter.prototype.render = function (value) {
+  if (value != null) this.value = value;
+  this.el.textContent = formatCount(this.value, this.options);
+};
+
+Counter.prototype.stop = function () {
+  if (this.frame !== null) cancelAnimationFrame(this.frame);
+  this.frame = null;
+};
+
+/** jump to the target without animating (reduced motion) */
+Counter.prototype.finish = function (target) {
+  this.stop();
+  if (target != null) this.options.target = target;
+  this.render(this.options.target);
+};
+
+/** count from `from` up (or down) to the target; resolves when done */
+Counter.prototype.start = function (target) {
+  this.stop();
+  const o = this.options;
+  if (target != null) o.target = target;
+  const ease = typeof o.easing === 'function' ? o.easing : EASINGS[o.easing] || EASINGS.easeOutCubic;
+  const factor = Math.pow(10, o.decimals);
+  let begin = null;
+
+  return new Promise(resolve => {
+    const step = now => {
+      if (begin === null) begin = now;
+      const t = o.duration ? Math.min(1, (now - begin) / o.duration) : 1;
+      // round to the shown decimals so the last frames do not flicker
+      this.render(t < 1 ? Math.round((o.from + (o.target - o.from) * ease(t)) * factor) / factor : o.target);
+      if (t < 1) {
+        this.frame = requestAnimationFrame(step);
+      } else {
+        this.frame = null;
+        resolve(this);
+      }
+    };
+    this.render(o.from);
+    this.frame = requestAnimationFrame(step);
+  });
+};
@@ -0,0 +1,98 @@
+/** deep-links.js
+ * Compose links that open a chat / mail app with the message already filled
+ * in. Text is percent-encoded with encodeURIComponent and, when the whole
+ * URL would get too long for the app (or the OS handler) to accept, the
+ * message is cut at a character boundary and ends with "…".
+ *
+ *   buildLink('whatsapp', '6281234567890', { text: 'Hi!' });
+ *   // -> https://wa.me/6281234567890?text=Hi!
+ *
+ * WhatsApp also works without a number: wa.me/?text=... lets the visitor
+ * pick the chat (canShare()).
+ */
+
+// conservative URL budgets; mailto: handlers are the pickiest
+export const MAX_LENGTH = {
+  whatsapp: 2000,
+  email: 1800,
+  telegram: 2000
+};
+
+const ELLIPSIS = '…';
+
+const CHANNELS = {
+  whatsapp: {
+    // international format, digits only (wa.me rejects "+", spaces and dashes)
+    target: to => {
+      const digits = String(to).replace(/[^\d]/g, '');
+      return digits.length >= 8 && digits.length <= 15 ? digits : null;
+    },
+    build: (to, msg, text) => `https://wa.me/${to}?text=${text}`,
+    share: (msg, text) => `https://wa.me/?text=${text}`
+  },
+  email: {
+    target: to => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(to).trim()) ? String(to).trim() : null),
+    build: (to, msg, text) => {
+      const subject = msg.subject ? `subject=${encodeURIComponent(msg.subject)}&` : '';
+      return `mailto:${to}?${subject}body=${text}`;
+    }
+  },
+  telegram: {
+    // public username, with or without the leading @
+    target: to => {
+      const name = String(to).trim().replace(/^@/, '');
+      return /^[A-Za-z][A-Za-z0-9_]{4,31}$/.test(name) ? name : null;
+    },
+    build: (to, msg, text) => `https://t.me/${to}?text=${text}`
+  }
+};
+
+export const CHANNEL_NAMES = Object.keys(CHANNELS);
+
+/** the cleaned-up target for `channel`, or null when it is not usable */
+export function normalizeTarget(channel, to) {
+  const def = CHANNELS[channel];
+  return def && to ? def.target(to) : null;
+}
+
+/**
+ * Longest prefix of `text` (plus "…" when cut) for which `build(encoded)`
+ * stays within `max` characters. Works on code points, so emoji and other
+ * astral characters are never split.
+ */
+export function fitText(text, max, build) {
+  const encode = s => build(encodeURIComponent(s));
+  if (encode(text).length <= max) return text;
+  const chars = Array.from(text);
+  let lo = 0;
+  let hi = chars.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (encode(chars.slice(0, mid).join('') + ELLIPSIS).length <= max) lo = mid;
+    else hi = mid - 1;
+  }
+  return chars.slice(0, lo).join('').trimEnd() + ELLIPSIS;
+}
+
+/** can `channel` build a link without a target (the app asks who to send to)? */
+export function canShare(channel) {
+  const def = CHANNELS[channel];
+  return !!(def && def.share);
+}
+
+/**
+ * @param {string} channel  'whatsapp' | 'email' | 'telegram'
+ * @param {string} to       phone number, address or username
+ * @param {{ text: string, subject?: string }} msg
+ * @param {number} [max]    URL length budget (defaults to MAX_LENGTH[channel])
+ * @returns {string|null}   null when the channel is unknown, or the target
+ *                          is invalid and the channel cannot share without one
+ */
+export function buildLink(channel, to, msg, max) {
+  const def = CHANNELS[channel];
+  const target = normalizeTarget(channel, to);
+  if (!def || (!target && !def.share)) return null;
+  const build = encoded => (target ? def.build(target, msg, encoded) : def.share(msg, encoded));
+  const text = fitText(msg.text || '', max || MAX_LENGTH[channel], build);
+  return build(encodeURIComponent(text));
+}
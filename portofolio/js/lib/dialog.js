@@ -0,0 +1,241 @@
+/** dialog.js
+ * Reusable accessible dialog controller for the site's overlays.
+ * Handles ARIA roles, focus trap + focus return, Escape / backdrop close,
+ * inert background content, scroll locking and screen-reader announcements.
+ * Dialogs stack: an overlay opened from inside another one (e.g. a lightbox
+ * over the project modal) owns the keyboard until it closes.
+ *
+ * Usage:
+ *   const dialog = new Dialog(el, { labelledBy: 'modalTitle', onRequestClose });
+ *   dialog.open(triggerButton);
+ *   dialog.close();
+ */
+
+const FOCUSABLE = [
+  'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])', 'textarea:not([disabled])', 'iframe', 'audio[controls]', 'video[controls]',
+  '[contenteditable]', '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+const supportsInert = 'inert' in HTMLElement.prototype;
+const stack = [];          // open dialogs, topmost last
+let scrollLocks = 0;
+let savedBodyStyle = null;
+let announcer = null;
+
+/* ---------- shared helpers ---------- */
+
+export function announce(message) {
+  if (!announcer) {
+    announcer = document.createElement('div');
+    announcer.className = 'sr-only';
+    announcer.setAttribute('aria-live', 'polite');
+    announcer.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(announcer);
+  }
+  // clear first so repeating the same message is still read out
+  announcer.textContent = '';
+  setTimeout(() => { announcer.textContent = message; }, 50);
+}
+
+function lockScroll() {
+  if (scrollLocks++ > 0) return;
+  const body = document.body;
+  const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+  savedBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+  body.style.overflow = 'hidden';
+  // keep the layout from jumping when the scrollbar disappears
+  if (scrollbar > 0) body.style.paddingRight = scrollbar + 'px';
+}
+
+function unlockScroll() {
+  if (scrollLocks === 0 || --scrollLocks > 0) return;
+  document.body.style.overflow = savedBodyStyle.overflow;
+  document.body.style.paddingRight = savedBodyStyle.paddingRight;
+}
+
+function isVisible(el) {
+  return !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+}
+
+function top() {
+  return stack[stack.length - 1];
+}
+
+document.addEventListener('keydown', e => {
+  const dialog = top();
+  if (!dialog) return;
+  if (e.key === 'Escape' && dialog.options.closeOnEscape) {
+    e.preventDefault();
+    dialog.requestClose('escape');
+  } else if (e.key === 'Tab') {
+    dialog.trapTab(e);
+  }
+});
+
+// safety net for browsers without `inert`: pull stray focus back in
+document.addEventListener('focusin', e => {
+  const dialog = top();
+  if (dialog && !dialog.el.contains(e.target)) dialog.focusInitial();
+});
+
+/* ---------- Dialog ---------- */
+
+/**
+ * @param {HTMLElement} el  overlay element (the backdrop wraps the content)
+ * @param {object} [options]
+ * @param {string} [options.labelledBy]     id of the element naming the dialog
+ * @param {string} [options.describedBy]    id of the element describing it
+ * @param {string} [options.initialFocus]   selector focused on open (else first focusable)
+ * @param {string} [options.closeSelector]  elements inside that close the dialog
+ * @param {string} [options.openClass]      class toggled on `el` while open
+ * @param {boolean} [options.closeOnEscape]
+ * @param {boolean} [options.closeOnBackdrop]
+ * @param {Function} [options.onRequestClose]  called with a reason ('escape',
+ *   'backdrop', 'button') instead of closing directly, so callers can route
+ *   the close through their own logic (e.g. history.back()).
+ * @param {Function} [options.onOpen]
+ * @param {Function} [options.onClose]
+ */
+export function Dialog(el, options) {
+  this.el = el;
+  this.options = Object.assign({
+    labelledBy: null,
+    describedBy: null,
+    initialFocus: null,
+    closeSelector: '.modal-close',
+    openClass: 'show',
+    closeOnEscape: true,
+    closeOnBackdrop: true,
+    onRequestClose: null,
+    onOpen: null,
+    onClose: null
+  }, options);
+  this.isOpen = false;
+  this.opener = null;
+  this.inerted = [];
+
+  el.setAttribute('role', 'dialog');
+  el.setAttribute('aria-modal', 'true');
+  el.setAttribute('aria-hidden', 'true');
+  if (this.options.labelledBy) el.setAttribute('aria-labelledby', this.options.labelledBy);
+  if (this.options.describedBy) el.setAttribute('aria-describedby', this.options.describedBy);
+  if (!el.hasAttribute('tabindex')) el.setAttribute('tabindex', '-1');
+
+  el.addEventListener('click', e => {
+    if (!this.isOpen) return;
+    if (this.options.closeOnBackdrop && e.target === el) {
+      this.requestClose('backdrop');
+    } else if (this.options.closeSelector && e.target.closest(this.options.closeSelector)) {
+      this.requestClose('button');
+    }
+  });
+}
+
+Dialog.prototype.open = function (opener) {
+  if (this.isOpen) return;
+  this.isOpen = true;
+  this.opener = opener || document.activeElement;
+
+  this.el.classList.add(this.options.openClass);
+  this.el.setAttribute('aria-hidden', 'false');
+  this.setBackgroundInert();
+  lockScroll();
+  stack.push(this);
+
+  this.focusInitial();
+  const label = this.label();
+  if (label) announce(label);
+  if (this.options.onOpen) this.options.onOpen(this);
+};
+
+Dialog.prototype.close = function () {
+  if (!this.isOpen) return;
+  this.isOpen = false;
+
+  this.el.classList.remove(this.options.openClass);
+  this.el.setAttribute('aria-hidden', 'true');
+  this.restoreBackground();
+  unlockScroll();
+  const i = stack.indexOf(this);
+  if (i !== -1) stack.splice(i, 1);
+
+  const opener = this.opener;
+  this.opener = null;
+  if (opener && opener.isConnected && typeof opener.focus === 'function') opener.focus();
+  if (this.options.onClose) this.options.onClose(this);
+};
+
+/** close through options.onRequestClose when the caller wants a say */
+Dialog.prototype.requestClose = function (reason) {
+  if (this.options.onRequestClose) this.options.onRequestClose(reason, this);
+  else this.close();
+};
+
+Dialog.prototype.label = function () {
+  const id = this.options.labelledBy;
+  const el = id && document.getElementById(id);
+  return el ? el.textContent.trim() : this.el.getAttribute('aria-label');
+};
+
+Dialog.prototype.focusables = function () {
+  return Array.prototype.filter.call(this.el.querySelectorAll(FOCUSABLE), el =>
+    !el.hidden && !el.closest('[inert]') && isVisible(el)
+  );
+};
+
+Dialog.prototype.focusInitial = function () {
+  const wanted = this.options.initialFocus && this.el.querySelector(this.options.initialFocus);
+  const target = wanted || this.focusables()[0] || this.el;
+  target.focus({ preventScroll: true });
+};
+
+Dialog.prototype.trapTab = function (e) {
+  const items = this.focusables();
+  if (!items.length) {
+    e.preventDefault();
+    this.el.focus();
+    return;
+  }
+  const first = items[0];
+  const last = items[items.length - 1];
+  const active = document.activeElement;
+  if (e.shiftKey && (active === first || !this.el.contains(active))) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (active === last || !this.el.contains(active))) {
+    e.preventDefault();
+    first.focus();
+  }
+};
+
+// make everything outside the dialog inert: the siblings of the dialog
+// and of each of its ancestors, up to <body>
+Dialog.prototype.setBackgroundInert = function () {
+  this.inerted = [];
+  let node = this.el;
+  while (node && node !== document.body && node.parentElement) {
+    Array.prototype.forEach.call(node.parentElement.children, sibling => {
+      if (sibling === node || sibling.inert || sibling.hasAttribute('inert')) return;
+      if (/^(SCRIPT|STYLE|LINK|TEMPLATE)$/.test(sibling.tagName) || sibling.classList.contains('sr-only')) return;
+      sibling.inert = true;
+      sibling.setAttribute('inert', '');
+      if (!supportsInert) sibling.setAttribute('aria-hidden', 'true');
+      this.inerted.push(sibling);
+    });
+    node = node.parentElement;
+  }
+};
+
+Dialog.prototype.restoreBackground = function () {
+  this.inerted.forEach(el => {
+    el.inert = false;
+    el.removeAttribute('inert');
+    if (!supportsInert) el.removeAttribute('aria-hidden');
+  });
+  this.inerted = [];
+};
+
+Dialog.announce = announce;
+Dialog.isAnyOpen = () => stack.length > 0;
+Dialog.topmost = () => top() || null;
@@ -0,0 +1,13 @@
+/** dom.js
+ * Small DOM helpers shared by the feature modules.
+ */
+
+/** escape text for use inside HTML markup / attribute values */
+export function escapeHTML(str) {
+  return String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
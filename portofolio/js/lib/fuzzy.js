@@ -0,0 +1,76 @@
+/** fuzzy.js
+ * Small fuzzy matcher for the command palette: the query's characters must
+ * appear in order in the text, not necessarily next to each other
+ * ("exp" finds "Experience", "pfw" finds "Portfolio Website"). Case and
+ * accents are ignored, spaces in the query are not required.
+ *
+ *   fuzzyMatch('pw', 'Portfolio Website');
+ *   // -> { score: 32.5, positions: [0, 10] }
+ *
+ * Positions count code points, so highlightHTML() never splits an emoji.
+ */
+
+import { escapeHTML } from './dom.js';
+import { raw } from './template.js';
+
+const WORD_START = 10;     // bonus for hitting the start of a word
+const CONSECUTIVE = 6;     // bonus for each character right after the previous hit
+const PREFIX = 15;         // bonus when the text starts with the query
+const GAP = 0.5;           // cost of every skipped character
+
+// one lower-case, accent-free character per code point
+function fold(text) {
+  return [...String(text)].map(ch => ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || ch);
+}
+
+function isWordStart(chars, i) {
+  return i === 0 || /[^a-z0-9]/.test(chars[i - 1]);
+}
+
+// greedy from the left; `wordStarts` prefers a word start over an earlier mid-word hit
+function walk(needle, hay, wordStarts) {
+  const positions = [];
+  let from = 0;
+  for (const ch of needle) {
+    let hit = -1;
+    for (let i = from; i < hay.length; i++) {
+      if (hay[i] !== ch) continue;
+      if (hit === -1) hit = i;
+      if (!wordStarts || i === from || isWordStart(hay, i)) {
+        hit = i;
+        break;
+      }
+    }
+    if (hit === -1) return null;
+    positions.push(hit);
+    from = hit + 1;
+  }
+  return positions;
+}
+
+/** { score, positions } when every query character is found in order, else null */
+export function fuzzyMatch(query, text) {
+  const needle = fold(query).filter(ch => !/\s/.test(ch));
+  if (!needle.length) return { score: 0, positions: [] };
+  const hay = fold(text);
+
+  // jumping ahead to a word start can leave the rest unmatched: then take the leftmost hits
+  const positions = walk(needle, hay, true) || walk(needle, hay, false);
+  if (!positions) return null;
+
+  let score = positions[0] === 0 ? PREFIX : 0;
+  positions.forEach((pos, i) => {
+    score += 1;
+    if (isWordStart(hay, pos)) score += WORD_START;
+    if (i && pos === positions[i - 1] + 1) score += CONSECUTIVE;
+    else if (i) score -= (pos - positions[i - 1] - 1) * GAP;
+  });
+  return { score, positions };
+}
+
+/** `text` escaped, with the matched characters wrapped in <mark> (html`` markup) */
+export function highlightHTML(text, positions) {
+  const hits = new Set(positions || []);
+  return raw([...String(text)].map((ch, i) => (hits.has(i) ? `<mark>${escapeHTML(ch)}</mark>` : escapeHTML(ch))).join('')
+    .replace(/<\/mark><mark>/g, ''));
+}
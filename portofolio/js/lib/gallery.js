@@ -0,0 +1,436 @@
+/** gallery.js
+ * Media gallery for the project modal: main stage + thumbnail strip with
+ * keyboard and swipe navigation, and a fullscreen lightbox with zoom/pan.
+ * Items are images or short videos; only the visible item is loaded.
+ *
+ *   const gallery = new Gallery(document.getElementById('modalGallery'), { t });
+ *   gallery.setMedia([{ type: 'image', src: 'project/a.jpg', alt: '...' }], 'Title');
+ *
+ * Labels come from `t(key, params)` (i18n.js, keys under gallery.*); call
+ * relabel() after a language change.
+ */
+
+import { Dialog } from './dialog.js';
+import { MEDIA_SCHEMES, safeURL } from './template.js';
+
+const SWIPE_MIN = 40;      // px of horizontal travel that counts as a swipe
+const ZOOM_MIN = 1;
+const ZOOM_MAX = 4;
+const ZOOM_STEP = 1.25;
+
+/* ---------- helpers ---------- */
+
+function el(tag, attrs, children) {
+  const node = document.createElement(tag);
+  Object.keys(attrs || {}).forEach(key => {
+    const value = attrs[key];
+    if (value == null || value === false) return;
+    if (key === 'className') node.className = value;
+    else if (key === 'text') node.textContent = value;
+    else node.setAttribute(key, value === true ? '' : value);
+  });
+  (children || []).forEach(child => child && node.appendChild(child));
+  return node;
+}
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+/**
+ * Accept plain strings or partial records; guess videos by extension, drop
+ * unsafe URLs. A video's thumbnail is its poster (none: a placeholder).
+ */
+function normalizeMedia(list, title, t) {
+  return (list || [])
+    .map(item => (typeof item === 'string' ? { src: item } : item))
+    .filter(item => item && safeURL(item.src, MEDIA_SCHEMES))
+    .map((item, i) => {
+      const type = item.type || (/\.(mp4|webm|ogv|mov)$/i.test(item.src) ? 'video' : 'image');
+      return {
+        type,
+        src: item.src,
+        thumb: item.thumb || (type === 'video' ? item.poster : item.src) || null,
+        poster: item.poster || null,
+        alt: item.alt || t('gallery.alt', { title: title || t('gallery.untitled'), index: i + 1 }),
+        caption: item.caption || ''
+      };
+    });
+}
+
+// set each [node, key] pair's aria-label in the current language
+function applyLabels(labels, t) {
+  labels.forEach(([node, key]) => node.setAttribute('aria-label', t(key)));
+}
+
+function mediaNode(item, extra) {
+  if (item.type === 'video') {
+    return el('video', Object.assign({
+      src: item.src, poster: item.poster, controls: true, preload: 'none',
+      playsinline: true, 'aria-label': item.alt
+    }, extra));
+  }
+  return el('img', Object.assign({ src: item.src, alt: item.alt, decoding: 'async' }, extra));
+}
+
+// warm the cache for an image the visitor is likely to look at next
+function preload(item) {
+  if (item && item.type === 'image') {
+    const img = new Image();
+    img.src = item.src;
+  }
+}
+
+/** call `cb(-1|1)` on a horizontal swipe; `shouldSkip()` can veto (e.g. while panning) */
+function onSwipe(target, cb, shouldSkip) {
+  let start = null;
+  target.addEventListener('pointerdown', e => {
+    if (e.pointerType === 'mouse' || (shouldSkip && shouldSkip())) return;
+    start = { x: e.clientX, y: e.clientY };
+  });
+  target.addEventListener('pointerup', e => {
+    if (!start) return;
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    start = null;
+    if (Math.abs(dx) >= SWIPE_MIN && Math.abs(dx) > Math.abs(dy)) cb(dx < 0 ? 1 : -1);
+  });
+  target.addEventListener('pointercancel', () => { start = null; });
+}
+
+/* ---------- Lightbox ---------- */
+
+function Lightbox(t) {
+  this.t = t;
+  this.items = [];
+  this.index = 0;
+  this.view = { scale: 1, x: 0, y: 0 };
+  this.pointers = new Map();   // active pointers for drag / pinch
+  this.pinch = null;
+
+  this.counter = el('span', { className: 'lightbox-counter' });
+  this.caption = el('p', { className: 'lightbox-caption', id: 'lightboxCaption' });
+  this.frame = el('div', { className: 'lightbox-frame' });
+  this.prevBtn = el('button', { type: 'button', className: 'lightbox-btn lightbox-prev', text: '‹' });
+  this.nextBtn = el('button', { type: 'button', className: 'lightbox-btn lightbox-next', text: '›' });
+  this.zoomInBtn = el('button', { type: 'button', className: 'lightbox-btn', text: '+' });
+  this.zoomOutBtn = el('button', { type: 'button', className: 'lightbox-btn', text: '−' });
+  this.fullBtn = el('button', { type: 'button', className: 'lightbox-btn', text: '⛶' });
+  const closeBtn = el('button', { type: 'button', className: 'lightbox-btn lightbox-close', text: '×' });
+
+  this.root = el('div', { className: 'lightbox' }, [
+    el('div', { className: 'lightbox-toolbar' }, [
+      this.counter, this.zoomOutBtn, this.zoomInBtn,
+      document.fullscreenEnabled ? this.fullBtn : null, closeBtn
+    ]),
+    this.frame, this.prevBtn, this.nextBtn, this.caption
+  ]);
+  document.body.appendChild(this.root);
+  this.labels = [
+    [this.root, 'gallery.viewer'], [this.prevBtn, 'gallery.prev'], [this.nextBtn, 'gallery.next'],
+    [this.zoomInBtn, 'gallery.zoomIn'], [this.zoomOutBtn, 'gallery.zoomOut'],
+    [this.fullBtn, 'gallery.fullscreen'], [closeBtn, 'gallery.close']
+  ];
+  applyLabels(this.labels, t);
+
+  this.dialog = new Dialog(this.root, {
+    describedBy: 'lightboxCaption',
+    closeSelector: '.lightbox-close',
+    closeOnBackdrop: false,
+    onClose: () => {
+      this.frame.textContent = '';
+      if (document.fullscreenElement === this.root) document.exitFullscreen();
+    }
+  });
+
+  this.bind();
+}
+
+Lightbox.prototype.bind = function () {
+  this.prevBtn.addEventListener('click', () => this.show(this.index - 1));
+  this.nextBtn.addEventListener('click', () => this.show(this.index + 1));
+  this.zoomInBtn.addEventListener('click', () => this.zoomBy(ZOOM_STEP));
+  this.zoomOutBtn.addEventListener('click', () => this.zoomBy(1 / ZOOM_STEP));
+  this.fullBtn.addEventListener('click', () => {
+    if (document.fullscreenElement) document.exitFullscreen();
+    else this.root.requestFullscreen().catch(() => {});
+  });
+
+  // clicking the dark area around the media closes, like a backdrop
+  this.frame.addEventListener('click', e => {
+    if (e.target === this.frame && this.view.scale === 1) this.dialog.close();
+  });
+
+  this.root.addEventListener('keydown', e => {
+    const zoomed = this.view.scale > 1;
+    switch (e.key) {
+      case 'ArrowLeft':
+        if (zoomed) this.panBy(40, 0); else this.show(this.index - 1);
+        break;
+      case 'ArrowRight':
+        if (zoomed) this.panBy(-40, 0); else this.show(this.index + 1);
+        break;
+      case 'ArrowUp':
+        if (zoomed) this.panBy(0, 40); else return;
+        break;
+      case 'ArrowDown':
+        if (zoomed) this.panBy(0, -40); else return;
+        break;
+      case '+': case '=':
+        this.zoomBy(ZOOM_STEP);
+        break;
+      case '-':
+        this.zoomBy(1 / ZOOM_STEP);
+        break;
+      case '0':
+        this.resetView();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  });
+
+  this.frame.addEventListener('wheel', e => {
+    if (!this.media || this.media.tagName !== 'IMG') return;
+    e.preventDefault();
+    this.zoomBy(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX, e.clientY);
+  }, { passive: false });
+
+  this.frame.addEventListener('dblclick', e => {
+    if (this.view.scale > 1) this.resetView();
+    else this.zoomTo(2.5, e.clientX, e.clientY);
+  });
+
+  // drag to pan, two fingers to pinch-zoom
+  this.frame.addEventListener('pointerdown', e => {
+    if (!this.media || this.media.tagName !== 'IMG') return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    // capture only while panning/pinching so plain clicks keep their target
+    if (this.view.scale > 1 || this.pointers.size === 2) this.frame.setPointerCapture(e.pointerId);
+    if (this.pointers.size === 2) {
+      const [a, b] = [...this.pointers.values()];
+      this.pinch = { dist: Math.hypot(a.x - b.x, a.y - b.y), scale: this.view.scale };
+    }
+  });
+  this.frame.addEventListener('pointermove', e => {
+    const last = this.pointers.get(e.pointerId);
+    if (!last) return;
+    const now = { x: e.clientX, y: e.clientY };
+    this.pointers.set(e.pointerId, now);
+    if (this.pinch && this.pointers.size === 2) {
+      const [a, b] = [...this.pointers.values()];
+      const dist = Math.hypot(a.x - b.x, a.y - b.y);
+      this.zoomTo(this.pinch.scale * dist / this.pinch.dist, (a.x + b.x) / 2, (a.y + b.y) / 2);
+    } else if (this.view.scale > 1) {
+      this.panBy(now.x - last.x, now.y - last.y);
+    }
+  });
+  const release = e => {
+    this.pointers.delete(e.pointerId);
+    if (this.pointers.size < 2) this.pinch = null;
+  };
+  this.frame.addEventListener('pointerup', release);
+  this.frame.addEventListener('pointercancel', release);
+
+  onSwipe(this.frame, dir => this.show(this.index + dir), () => this.view.scale > 1 || this.pointers.size > 1);
+};
+
+Lightbox.prototype.relabel = function () {
+  applyLabels(this.labels, this.t);
+};
+
+Lightbox.prototype.open = function (items, index, opener) {
+  this.items = items;
+  this.show(index);
+  this.dialog.open(opener);
+};
+
+Lightbox.prototype.show = function (index) {
+  const count = this.items.length;
+  if (!count) return;
+  this.index = (index + count) % count;
+  const item = this.items[this.index];
+
+  this.frame.textContent = '';
+  this.media = mediaNode(item, { className: 'lightbox-media', draggable: 'false' });
+  if (item.type === 'video') this.media.setAttribute('preload', 'metadata');
+  this.frame.appendChild(this.media);
+  this.resetView();
+
+  this.counter.textContent = `${this.index + 1} / ${count}`;
+  this.caption.textContent = item.caption || item.alt;
+  this.prevBtn.hidden = this.nextBtn.hidden = count < 2;
+  this.zoomInBtn.hidden = this.zoomOutBtn.hidden = item.type !== 'image';
+  preload(this.items[(this.index + 1) % count]);
+  if (this.dialog.isOpen) Dialog.announce(`${this.counter.textContent}: ${this.caption.textContent}`);
+};
+
+Lightbox.prototype.resetView = function () {
+  this.view = { scale: 1, x: 0, y: 0 };
+  this.apply();
+};
+
+Lightbox.prototype.zoomBy = function (factor, cx, cy) {
+  this.zoomTo(this.view.scale * factor, cx, cy);
+};
+
+/** zoom keeping the point under (cx, cy) in place; centre when omitted */
+Lightbox.prototype.zoomTo = function (scale, cx, cy) {
+  if (!this.media || this.media.tagName !== 'IMG') return;
+  const next = clamp(scale, ZOOM_MIN, ZOOM_MAX);
+  const rect = this.frame.getBoundingClientRect();
+  const px = (cx == null ? rect.left + rect.width / 2 : cx) - (rect.left + rect.width / 2);
+  const py = (cy == null ? rect.top + rect.height / 2 : cy) - (rect.top + rect.height / 2);
+  const ratio = next / this.view.scale;
+  this.view.x = px - (px - this.view.x) * ratio;
+  this.view.y = py - (py - this.view.y) * ratio;
+  this.view.scale = next;
+  this.apply();
+};
+
+Lightbox.prototype.panBy = function (dx, dy) {
+  this.view.x += dx;
+  this.view.y += dy;
+  this.apply();
+};
+
+// keep the zoomed image covering the frame; no panning past its edges
+Lightbox.prototype.apply = function () {
+  if (!this.media) return;
+  const v = this.view;
+  if (v.scale <= 1) {
+    v.scale = 1;
+    v.x = v.y = 0;
+  } else {
+    const maxX = (this.media.offsetWidth * (v.scale - 1)) / 2;
+    const maxY = (this.media.offsetHeight * (v.scale - 1)) / 2;
+    v.x = clamp(v.x, -maxX, maxX);
+    v.y = clamp(v.y, -maxY, maxY);
+  }
+  this.media.style.transform = `translate(${v.x}px, ${v.y}px) scale(${v.scale})`;
+  this.root.classList.toggle('is-zoomed', v.scale > 1);
+};
+
+let sharedLightbox = null;   // one viewer for the whole page, built on first use
+
+/* ---------- Gallery ---------- */
+
+export function Gallery(root, options) {
+  this.root = root;
+  this.t = options.t;
+  this.items = [];
+  this.index = 0;
+
+  this.stage = el('div', { className: 'gallery-stage' });
+  this.prevBtn = el('button', { type: 'button', className: 'gallery-nav gallery-prev', text: '‹' });
+  this.nextBtn = el('button', { type: 'button', className: 'gallery-nav gallery-next', text: '›' });
+  this.zoomBtn = el('button', { type: 'button', className: 'gallery-zoom', text: '⤢' });
+  this.caption = el('p', { className: 'gallery-caption', 'aria-live': 'polite' });
+  this.thumbs = el('div', { className: 'gallery-thumbs', role: 'group' });
+  this.labels = [
+    [this.prevBtn, 'gallery.prev'], [this.nextBtn, 'gallery.next'],
+    [this.zoomBtn, 'gallery.open'], [this.thumbs, 'gallery.media']
+  ];
+  applyLabels(this.labels, this.t);
+
+  root.classList.add('gallery');
+  root.textContent = '';
+  root.appendChild(el('div', { className: 'gallery-main' }, [this.stage, this.prevBtn, this.nextBtn, this.zoomBtn]));
+  root.appendChild(this.caption);
+  root.appendChild(this.thumbs);
+
+  this.bind();
+}
+
+Gallery.prototype.bind = function () {
+  this.prevBtn.addEventListener('click', () => this.show(this.index - 1));
+  this.nextBtn.addEventListener('click', () => this.show(this.index + 1));
+  this.zoomBtn.addEventListener('click', () => this.openLightbox(this.zoomBtn));
+
+  this.stage.addEventListener('click', e => {
+    if (e.target.tagName === 'IMG') this.openLightbox(this.zoomBtn);
+  });
+
+  this.thumbs.addEventListener('click', e => {
+    const btn = e.target.closest('.gallery-thumb');
+    if (btn) this.show(+btn.dataset.index);
+  });
+
+  // arrows inside the gallery move between media, not between projects
+  this.root.addEventListener('keydown', e => {
+    if (e.target.tagName === 'VIDEO') return;
+    let next = null;
+    if (e.key === 'ArrowLeft') next = this.index - 1;
+    else if (e.key === 'ArrowRight') next = this.index + 1;
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = this.items.length - 1;
+    if (next === null || this.items.length < 2) return;
+    e.preventDefault();
+    e.stopPropagation();
+    this.show(next);
+    const thumb = this.thumbs.children[this.index];
+    if (thumb && this.thumbs.contains(document.activeElement)) thumb.focus();
+  });
+
+  onSwipe(this.stage, dir => this.show(this.index + dir));
+};
+
+Gallery.prototype.setMedia = function (list, title) {
+  this.items = normalizeMedia(list, title, this.t);
+  this.index = 0;
+
+  this.thumbs.textContent = '';
+  this.items.forEach((item, i) => {
+    const thumb = item.thumb
+      ? el('img', { src: item.thumb, alt: '', loading: 'lazy', decoding: 'async' })
+      : el('span', { className: 'gallery-thumb-placeholder' });
+    this.thumbs.appendChild(el('button', {
+      type: 'button',
+      className: 'gallery-thumb' + (item.type === 'video' ? ' is-video' : ''),
+      'data-index': i,
+      'aria-label': this.t(item.type === 'video' ? 'gallery.showVideo' : 'gallery.showImage', { index: i + 1, count: this.items.length })
+    }, [thumb]));
+  });
+
+  const single = this.items.length < 2;
+  this.thumbs.hidden = single;
+  this.prevBtn.hidden = this.nextBtn.hidden = single;
+  this.show(0);
+};
+
+Gallery.prototype.show = function (index) {
+  const count = this.items.length;
+  this.stage.textContent = '';
+  if (!count) {
+    this.caption.textContent = '';
+    this.zoomBtn.hidden = true;
+    return;
+  }
+  this.index = (index + count) % count;
+  const item = this.items[this.index];
+
+  this.stage.appendChild(mediaNode(item, { className: 'gallery-media' }));
+  this.caption.textContent = item.caption;
+  this.zoomBtn.hidden = item.type !== 'image';
+  Array.prototype.forEach.call(this.thumbs.children, (thumb, i) => {
+    if (i === this.index) thumb.setAttribute('aria-current', 'true');
+    else thumb.removeAttribute('aria-current');
+  });
+  preload(this.items[(this.index + 1) % count]);
+};
+
+/** fixed labels in the current language; setMedia() labels the media itself */
+Gallery.prototype.relabel = function () {
+  applyLabels(this.labels, this.t);
+  if (sharedLightbox) sharedLightbox.relabel();
+};
+
+Gallery.prototype.openLightbox = function (opener) {
+  if (!this.items.length) return;
+  if (!sharedLightbox) sharedLightbox = new Lightbox(this.t);
+  sharedLightbox.open(this.items, this.index, opener);
+};
+
+Gallery.normalizeMedia = normalizeMedia;
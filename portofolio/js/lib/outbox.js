@@ -0,0 +1,186 @@
+/** outbox.js
+ * Persistent retry queue for contact messages. Messages that could not be
+ * sent are kept in localStorage and retried with exponential backoff, and
+ * straight away when the browser comes back online (also on a later visit).
+ *
+ *   const outbox = new Outbox(transport);
+ *   outbox.on('sent', ({ item }) => ...);
+ *   outbox.add({ name, email, message });
+ *
+ * Events: 'queued', 'sending', 'sent', 'retry' ({ item, error, delay }),
+ * 'failed' ({ item, error }: dropped for good), 'change' ({ size }).
+ */
+
+const DEFAULTS = {
+  key: 'contact-outbox',     // localStorage key
+  baseDelay: 5000,           // first retry after ~5 s ...
+  maxDelay: 5 * 60 * 1000,   // ... doubling up to 5 min
+  maxAttempts: 8             // then give up and report 'failed'
+};
+
+/**
+ * @param {{ send: Function }} transport  see contact-transport.js
+ * @param {object} [options]  overrides for Outbox.DEFAULTS
+ */
+export function Outbox(transport, options) {
+  this.transport = transport;
+  this.options = Object.assign({}, DEFAULTS, options);
+  this.items = this.load();
+  this.listeners = {};
+  this.timer = null;
+  this.busy = false;
+
+  this.onOnline = () => this.flush(true);
+  window.addEventListener('online', this.onOnline);
+}
+
+Outbox.DEFAULTS = DEFAULTS;
+
+/* ---------- events ---------- */
+
+Outbox.prototype.on = function (event, fn) {
+  (this.listeners[event] = this.listeners[event] || []).push(fn);
+  return this;
+};
+
+Outbox.prototype.off = function (event, fn) {
+  const list = this.listeners[event];
+  if (list) this.listeners[event] = fn ? list.filter(f => f !== fn) : [];
+  return this;
+};
+
+Outbox.prototype.emit = function (event, detail) {
+  (this.listeners[event] || []).slice().forEach(fn => fn.call(this, detail || {}));
+};
+
+/* ---------- storage ---------- */
+
+Outbox.prototype.load = function () {
+  try {
+    const items = JSON.parse(localStorage.getItem(this.options.key) || '[]');
+    return Array.isArray(items) ? items.filter(item => item && item.fields) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+Outbox.prototype.save = function () {
+  try {
+    if (this.items.length) localStorage.setItem(this.options.key, JSON.stringify(this.items));
+    else localStorage.removeItem(this.options.key);
+  } catch (err) {
+    // storage full or blocked: the queue still lives until the tab closes
+  }
+  this.emit('change', { size: this.items.length });
+};
+
+Object.defineProperty(Outbox.prototype, 'size', {
+  get() { return this.items.length; }
+});
+
+/* ---------- queue ---------- */
+
+/** queue `fields` for a retry (the first attempt already failed) */
+Outbox.prototype.add = function (fields, error) {
+  const item = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    fields,
+    attempts: 0,
+    nextAttempt: 0,
+    createdAt: Date.now()
+  };
+  this.items.push(item);
+  this.backoff(item, error);
+  this.save();
+  this.emit('queued', { item, error });
+  this.schedule();
+  return item;
+};
+
+Outbox.prototype.backoff = function (item, error) {
+  item.attempts++;
+  const { baseDelay, maxDelay } = this.options;
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, item.attempts - 1));
+  // +-20% jitter so several tabs don't retry in lockstep
+  item.nextAttempt = Date.now() + Math.round(delay * (0.8 + Math.random() * 0.4));
+  item.lastError = error && error.message ? error.message : null;
+  return delay;
+};
+
+Outbox.prototype.remove = function (item) {
+  this.items = this.items.filter(i => i.id !== item.id);
+  this.save();
+};
+
+/** arm the timer for the next item that is due */
+Outbox.prototype.schedule = function () {
+  clearTimeout(this.timer);
+  this.timer = null;
+  if (!this.items.length) return;
+  const next = Math.min.apply(null, this.items.map(i => i.nextAttempt));
+  this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+};
+
+/**
+ * Send every due item, one after the other. `force` ignores the backoff
+ * (used when the browser reports it is back online).
+ */
+Outbox.prototype.flush = function (force) {
+  if (this.busy) return Promise.resolve();
+  if (!navigator.onLine) {
+    // nothing to do until the 'online' event
+    clearTimeout(this.timer);
+    this.timer = null;
+    return Promise.resolve();
+  }
+  const now = Date.now();
+  const due = this.items.filter(item => force || item.nextAttempt <= now);
+  if (!due.length) {
+    this.schedule();
+    return Promise.resolve();
+  }
+
+  this.busy = true;
+  const sendNext = index => {
+    if (index >= due.length) return Promise.resolve();
+    const item = due[index];
+    // a listener or transport throwing becomes a rejection like any other
+    return new Promise(resolve => {
+      this.emit('sending', { item });
+      resolve(this.transport.send(item.fields));
+    }).then(
+      () => {
+        this.remove(item);
+        this.emit('sent', { item });
+        return sendNext(index + 1);
+      },
+      error => {
+        const retryable = !!(error && error.retryable);
+        if (!retryable || item.attempts >= this.options.maxAttempts) {
+          this.remove(item);
+          this.emit('failed', { item, error });
+        } else {
+          const delay = this.backoff(item, error);
+          this.save();
+          this.emit('retry', { item, error, delay });
+        }
+        // offline again: no point trying the rest right now
+        return retryable ? null : sendNext(index + 1);
+      }
+    );
+  };
+
+  // whatever happens, the outbox must not stay busy: it would never flush again
+  return sendNext(0)
+    .catch(err => console.error('outbox.js: flush failed', err))
+    .then(() => {
+      this.busy = false;
+      this.schedule();
+    });
+};
+
+Outbox.prototype.destroy = function () {
+  clearTimeout(this.timer);
+  window.removeEventListener('online', this.onOnline);
+  this.listeners = {};
+};
@@ -0,0 +1,418 @@
+/** particle-system.js
+ * Lightweight particle network with mouse interaction and pause-on-blur
+ * Neighbour lookup goes through SpatialGrid (spatial-grid.js) and the
+ * connecting lines are batched by alpha into a handful of stroke() calls.
+ *
+ *   const system = new ParticleSystem(canvas, { baseCount: 40 });
+ *   system.on('resize', ({ count }) => console.log(count));
+ *   system.setOptions({ repel: false });
+ *   system.destroy();
+ */
+
+import { SpatialGrid } from './spatial-grid.js';
+
+// Configurable params (defaults for every instance)
+const DEFAULTS = {
+  baseCount: 60,          // target particle count for 1366x768 reference
+  maxDensity: 3,          // cap on the area scaling (4K screens hit this)
+  connectDistance: 120,   // max distance to draw connecting line
+  maxSize: 2.2,
+  minSize: 0.8,
+  speedRange: 0.6,
+  color: { r: 0, g: 245, b: 255 }, // particle color (neon cyan)
+  lineAlpha: 0.10,        // line opacity
+  alphaBuckets: 8,        // line opacity steps, one stroke() call each
+  particleAlpha: 0.7,
+  mouseRadius: 120,       // influence radius from mouse
+  repel: true,            // repel when mouse moves near particles
+  interactive: true,      // react to the pointer at all
+  autoStart: true
+};
+
+const REF_AREA = 1366 * 768;
+
+function rand(min, max) {
+  return Math.random() * (max - min) + min;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} [options]  overrides for ParticleSystem.DEFAULTS
+ */
+export function ParticleSystem(canvas, options) {
+  this.canvas = canvas;
+  this.ctx = canvas.getContext('2d');
+  this.options = Object.assign({}, DEFAULTS, options);
+  this.particles = [];
+  this.width = 0;
+  this.height = 0;
+  this.dpr = Math.max(1, window.devicePixelRatio || 1);
+  this.running = false;     // start() called and not stopped
+  this.destroyed = false;
+  this.animId = null;
+  this.resizeTimer = null;
+  this.listeners = {};      // event name -> [fn]
+  this.mouse = { x: null, y: null, vx: 0, vy: 0, lastX: null, lastY: null, active: false };
+  this.grid = new SpatialGrid(this.options.connectDistance);
+  this.lineBuckets = [];
+
+  this.loop = this.loop.bind(this);
+  this.bind();
+  this.setupBuckets();
+  this.resize();
+  ParticleSystem.instances.push(this);
+  if (this.options.autoStart) this.start();
+}
+
+ParticleSystem.DEFAULTS = DEFAULTS;
+ParticleSystem.instances = [];
+
+/* ---------- events ---------- */
+
+ParticleSystem.prototype.on = function (event, fn) {
+  (this.listeners[event] = this.listeners[event] || []).push(fn);
+  return this;
+};
+
+ParticleSystem.prototype.off = function (event, fn) {
+  const list = this.listeners[event];
+  if (list) this.listeners[event] = fn ? list.filter(f => f !== fn) : [];
+  return this;
+};
+
+ParticleSystem.prototype.emit = function (event, detail) {
+  (this.listeners[event] || []).slice().forEach(fn => fn.call(this, detail || {}));
+};
+
+/* ---------- lifecycle ---------- */
+
+ParticleSystem.prototype.start = function () {
+  if (this.destroyed || this.running) return this;
+  this.running = true;
+  this.schedule();
+  this.emit('start');
+  return this;
+};
+
+ParticleSystem.prototype.stop = function () {
+  if (!this.running) return this;
+  this.running = false;
+  this.cancel();
+  this.emit('stop');
+  return this;
+};
+
+/** stop, drop every listener/timer and clear the canvas */
+ParticleSystem.prototype.destroy = function () {
+  if (this.destroyed) return;
+  this.stop();
+  this.destroyed = true;
+  this.unbind();
+  clearTimeout(this.resizeTimer);
+  this.ctx.clearRect(0, 0, this.width, this.height);
+  this.particles = [];
+  const i = ParticleSystem.instances.indexOf(this);
+  if (i !== -1) ParticleSystem.instances.splice(i, 1);
+  this.emit('destroy');
+  this.listeners = {};
+};
+
+/** merge new options; size/count related changes are applied right away */
+ParticleSystem.prototype.setOptions = function (options) {
+  const prev = this.options;
+  this.options = Object.assign({}, prev, options);
+  if (this.options.alphaBuckets !== prev.alphaBuckets) this.setupBuckets();
+  if (this.options.baseCount !== prev.baseCount || this.options.maxDensity !== prev.maxDensity) this.resize();
+  if (this.options.minSize !== prev.minSize || this.options.maxSize !== prev.maxSize) this.recreate();
+  this.emit('options', { options: this.options });
+  return this;
+};
+
+/** throw the current particles away and spawn a fresh set */
+ParticleSystem.prototype.recreate = function () {
+  this.particles = [];
+  this.resize();
+  return this;
+};
+
+/* ---------- frame scheduling (pause while the tab is hidden) ---------- */
+
+ParticleSystem.prototype.schedule = function () {
+  if (this.animId === null && this.running && document.visibilityState === 'visible') {
+    this.animId = requestAnimationFrame(this.loop);
+  }
+};
+
+ParticleSystem.prototype.cancel = function () {
+  if (this.animId !== null) cancelAnimationFrame(this.animId);
+  this.animId = null;
+};
+
+// main loop with requestAnimationFrame and pause support
+ParticleSystem.prototype.loop = function () {
+  this.animId = null;
+  if (!this.running) return;
+  this.update();
+  this.render();
+  this.schedule();
+};
+
+/* ---------- sizing ---------- */
+
+ParticleSystem.prototype.resize = function () {
+  const { canvas, ctx, options } = this;
+  this.width = canvas.clientWidth || window.innerWidth;
+  this.height = canvas.clientHeight || window.innerHeight;
+  canvas.width = Math.round(this.width * this.dpr);
+  canvas.height = Math.round(this.height * this.dpr);
+  ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+
+  // adaptive count: scale with area
+  const area = this.width * this.height;
+  const count = Math.round(options.baseCount * Math.max(0.5, Math.min(options.maxDensity, area / REF_AREA)));
+
+  // recreate particles conservatively if count changes a lot
+  if (this.particles.length < count) {
+    for (let i = this.particles.length; i < count; i++) this.particles.push(this.createParticle());
+  } else if (this.particles.length > count * 1.4) {
+    this.particles = this.particles.slice(0, count);
+  }
+  this.emit('resize', { width: this.width, height: this.height, count: this.particles.length });
+};
+
+ParticleSystem.prototype.createParticle = function () {
+  const o = this.options;
+  return {
+    x: Math.random() * this.width,
+    y: Math.random() * this.height,
+    size: rand(o.minSize, o.maxSize),
+    vx: (Math.random() - 0.5) * o.speedRange,
+    vy: (Math.random() - 0.5) * o.speedRange,
+    alpha: rand(0.4, o.particleAlpha)
+  };
+};
+
+ParticleSystem.prototype.setupBuckets = function () {
+  // per-bucket segment coordinates (x1, y1, x2, y2, ...), reused every frame
+  this.lineBuckets = [];
+  for (let b = 0; b < this.options.alphaBuckets; b++) this.lineBuckets.push([]);
+};
+
+/* ---------- simulation + drawing ---------- */
+
+// update physics + interactions
+ParticleSystem.prototype.update = function () {
+  const { particles, mouse, options, width, height } = this;
+  const vmax = options.speedRange * 2.2;
+  for (let i = 0; i < particles.length; i++) {
+    const p = particles[i];
+
+    // apply velocity
+    p.x += p.vx;
+    p.y += p.vy;
+
+    // wrap around edges (smooth)
+    if (p.x < -10) p.x = width + 10;
+    if (p.x > width + 10) p.x = -10;
+    if (p.y < -10) p.y = height + 10;
+    if (p.y > height + 10) p.y = -10;
+
+    // mouse interaction
+    if (mouse.active && mouse.x !== null) {
+      const dx = p.x - mouse.x;
+      const dy = p.y - mouse.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist < options.mouseRadius) {
+        const force = (1 - dist / options.mouseRadius) * 0.6; // strength
+        const dirX = dx / (dist || 1);
+        const dirY = dy / (dist || 1);
+        if (options.repel) {
+          p.vx += dirX * force;
+          p.vy += dirY * force;
+        } else {
+          p.vx -= dirX * force * 0.15;
+          p.vy -= dirY * force * 0.15;
+        }
+        // clamp velocity
+        p.vx = Math.max(-vmax, Math.min(vmax, p.vx));
+        p.vy = Math.max(-vmax, Math.min(vmax, p.vy));
+      }
+    }
+
+    // gentle velocity damping to keep everything stable
+    p.vx *= 0.995;
+    p.vy *= 0.995;
+  }
+};
+
+ParticleSystem.prototype.render = function () {
+  const { ctx, options, mouse, particles } = this;
+  const { r, g, b } = options.color;
+  ctx.clearRect(0, 0, this.width, this.height);
+
+  // draw connections first (subtle), queued per opacity bucket
+  const buckets = this.lineBuckets;
+  const maxDist = options.connectDistance;
+  this.grid.setCellSize(maxDist);
+  this.grid.rebuild(particles, this.width, this.height);
+  this.grid.forEachPair((p1, p2, distSq) => {
+    const strength = 1 - Math.sqrt(distSq) / maxDist;
+    const bucket = Math.min(buckets.length - 1, Math.floor(strength * buckets.length));
+    buckets[bucket].push(p1.x, p1.y, p2.x, p2.y);
+  });
+  ctx.lineWidth = 0.5;
+  for (let i = 0; i < buckets.length; i++) {
+    const seg = buckets[i];
+    if (!seg.length) continue;
+    const alpha = options.lineAlpha * (i + 0.5) / buckets.length;
+    ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    ctx.beginPath();
+    for (let k = 0; k < seg.length; k += 4) {
+      ctx.moveTo(seg[k], seg[k + 1]);
+      ctx.lineTo(seg[k + 2], seg[k + 3]);
+    }
+    ctx.stroke();
+    seg.length = 0;
+  }
+
+  // draw particles on top
+  for (let i = 0; i < particles.length; i++) {
+    const p = particles[i];
+    ctx.beginPath();
+    ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${p.alpha})`;
+    ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // optional: draw mouse halo (very subtle)
+  if (mouse.active && mouse.x !== null) {
+    const grad = ctx.createRadialGradient(mouse.x, mouse.y, 0, mouse.x, mouse.y, Math.min(options.mouseRadius * 1.2, 240));
+    grad.addColorStop(0, `rgba(${r},${g},${b},0.08)`);
+    grad.addColorStop(1, 'rgba(0,0,0,0)');
+    ctx.fillStyle = grad;
+    ctx.beginPath();
+    ctx.arc(mouse.x, mouse.y, options.mouseRadius * 1.2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+};
+
+/* ---------- listeners ---------- */
+
+ParticleSystem.prototype.bind = function () {
+  const mouse = this.mouse;
+
+  // the background canvas has pointer-events: none, so follow the pointer
+  // on the window and map it into this canvas
+  this.onPointerMove = e => {
+    if (!this.options.interactive) return;
+    const point = e.touches ? e.touches[0] : e;
+    if (!point) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const x = point.clientX - rect.left;
+    const y = point.clientY - rect.top;
+    if (x < 0 || y < 0 || x > rect.width || y > rect.height) {
+      this.onPointerLeave();
+      return;
+    }
+    mouse.active = true;
+    mouse.x = x;
+    mouse.y = y;
+    // compute velocity approx
+    if (mouse.lastX !== null) {
+      mouse.vx = mouse.x - mouse.lastX;
+      mouse.vy = mouse.y - mouse.lastY;
+    }
+    mouse.lastX = mouse.x;
+    mouse.lastY = mouse.y;
+  };
+  this.onPointerLeave = () => {
+    mouse.active = false;
+    mouse.x = null;
+    mouse.y = null;
+    mouse.lastX = null;
+    mouse.lastY = null;
+  };
+  this.onResize = () => {
+    // debounce resize to avoid thrash
+    clearTimeout(this.resizeTimer);
+    this.resizeTimer = setTimeout(() => this.resize(), 120);
+  };
+  this.onVisibility = () => {
+    if (document.visibilityState === 'visible') this.schedule();
+    else this.cancel();
+  };
+
+  window.addEventListener('mousemove', this.onPointerMove);
+  window.addEventListener('touchmove', this.onPointerMove, { passive: true });
+  window.addEventListener('touchend', this.onPointerLeave, { passive: true });
+  document.addEventListener('mouseleave', this.onPointerLeave);
+  document.addEventListener('visibilitychange', this.onVisibility);
+  if ('ResizeObserver' in window) {
+    this.resizeObserver = new ResizeObserver(this.onResize);
+    this.resizeObserver.observe(this.canvas);
+  } else {
+    window.addEventListener('resize', this.onResize);
+  }
+};
+
+ParticleSystem.prototype.unbind = function () {
+  window.removeEventListener('mousemove', this.onPointerMove);
+  window.removeEventListener('touchmove', this.onPointerMove);
+  window.removeEventListener('touchend', this.onPointerLeave);
+  document.removeEventListener('mouseleave', this.onPointerLeave);
+  document.removeEventListener('visibilitychange', this.onVisibility);
+  if (this.resizeObserver) this.resizeObserver.disconnect();
+  else window.removeEventListener('resize', this.onResize);
+};
+
+/* ---------- benchmark ---------- */
+
+/**
+ * Benchmark mode: run `frames` frames at each particle count and report
+ * the mean / p95 time spent in update() + render().
+ */
+ParticleSystem.prototype.benchmark = function (counts, frames) {
+  counts = counts || [60, 120, 240, 480, 960, 1920];
+  frames = frames || 120;
+  const saved = this.particles;
+  const wasRunning = this.running;
+  const rows = [];
+  this.stop();
+
+  return new Promise(resolve => {
+    let c = 0;
+    let times = [];
+    this.particles = Array.from({ length: counts[0] }, () => this.createParticle());
+
+    const tick = () => {
+      if (this.destroyed) return resolve(rows);
+      const t0 = performance.now();
+      this.update();
+      this.render();
+      times.push(performance.now() - t0);
+
+      if (times.length >= frames) {
+        times.sort((a, b) => a - b);
+        const mean = times.reduce((s, t) => s + t, 0) / times.length;
+        rows.push({
+          particles: counts[c],
+          'mean ms': +mean.toFixed(3),
+          'p95 ms': +times[Math.floor(times.length * 0.95)].toFixed(3),
+          'µs / particle': +(mean * 1000 / counts[c]).toFixed(2)
+        });
+        times = [];
+        if (++c >= counts.length) {
+          this.particles = saved;
+          console.table(rows);
+          this.emit('benchmark', { rows });
+          if (wasRunning) this.start();
+          resolve(rows);
+          return;
+        }
+        this.particles = Array.from({ length: counts[c] }, () => this.createParticle());
+      }
+      requestAnimationFrame(tick);
+    };
+    requestAnimationFrame(tick);
+  });
+};
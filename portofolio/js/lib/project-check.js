@@ -0,0 +1,98 @@
+/** project-check.js
+ * Checks the resume's "projects" entries before anything renders them.
+ * Problems are reported, then the entry is repaired or skipped - never
+ * thrown, so one typo in the JSON cannot take the portfolio down:
+ *
+ *   id        required, letters / digits / dashes (it is the ?project= slug
+ *             and the pre-rendered file name); missing or repeated: skipped
+ *   url, source              LINK_SCHEMES or relative, else dropped
+ *   image, media[].src / poster / thumb   MEDIA_SCHEMES or relative, else
+ *             dropped (a media item without src goes with it)
+ *   keywords  a list of non-empty strings; anything else dropped
+ *
+ * Used by core/data.js in the browser and tools/prerender.mjs in Node.
+ */
+
+import { LINK_SCHEMES, MEDIA_SCHEMES, safeURL } from './template.js';
+
+const SLUG = /^[a-z0-9][a-z0-9-]*$/i;
+
+function warn(message) {
+  console.warn('project-check.js: ' + message);
+}
+
+function checkProject(entry, index, report) {
+  const problem = message => report(`project ${entry && typeof entry.id === 'string' ? `"${entry.id}"` : '#' + index} ${message}`);
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    problem('is not an object, skipped');
+    return null;
+  }
+  if (typeof entry.id !== 'string' || !SLUG.test(entry.id)) {
+    problem('needs an "id" of letters, digits and dashes, skipped');
+    return null;
+  }
+  if (!entry.name) problem('has no "name"');
+
+  // a rejected URL is reported and dropped
+  const url = (value, schemes, label) => {
+    if (value == null || value === '') return undefined;
+    const safe = safeURL(value, schemes);
+    if (!safe) problem(`- ignoring ${label} ${JSON.stringify(value)}`);
+    return safe || undefined;
+  };
+  const list = key => {
+    if (entry[key] == null) return [];
+    if (Array.isArray(entry[key])) return entry[key];
+    problem(`- "${key}" is not a list, ignored`);
+    return [];
+  };
+
+  const keywords = list('keywords').filter(name => {
+    if (typeof name === 'string' && name.trim()) return true;
+    problem(`- ignoring keyword ${JSON.stringify(name)}`);
+    return false;
+  });
+  const media = list('media').map((item, i) => {
+    const src = item && typeof item === 'object' ? url(item.src, MEDIA_SCHEMES, `media[${i}].src`) : undefined;
+    if (!src) {
+      if (!item || !item.src) problem(`- media[${i}] has no "src", skipped`);
+      return null;
+    }
+    return Object.assign({}, item, {
+      src,
+      poster: url(item.poster, MEDIA_SCHEMES, `media[${i}].poster`),
+      thumb: url(item.thumb, MEDIA_SCHEMES, `media[${i}].thumb`)
+    });
+  }).filter(Boolean);
+
+  return Object.assign({}, entry, {
+    keywords,
+    media,
+    image: url(entry.image, MEDIA_SCHEMES, 'image'),
+    url: url(entry.url, LINK_SCHEMES, 'url'),
+    source: url(entry.source, LINK_SCHEMES, 'source')
+  });
+}
+
+/**
+ * The usable entries of `projects` (resume.projects), cleaned up; always an
+ * array. `report(message)` hears about every problem (console.warn by default).
+ */
+export function checkProjects(projects, report) {
+  report = report || warn;
+  if (projects == null) return [];
+  if (!Array.isArray(projects)) {
+    report('resume "projects" is not a list, ignored');
+    return [];
+  }
+  const seen = new Set();
+  return projects.map((entry, index) => checkProject(entry, index, report)).filter(project => {
+    if (!project) return false;
+    if (seen.has(project.id)) {
+      report(`project "${project.id}" appears twice, the second one is skipped`);
+      return false;
+    }
+    seen.add(project.id);
+    return true;
+  });
+}
@@ -0,0 +1,199 @@
+/** project-query.js
+ * Query engine for the portfolio grid: one state object combines the
+ * category filter, free-text search and tech tags. Text matching is
+ * tolerant (accents, punctuation, small typos) and ranks the results.
+ */
+
+// how much a hit in each field counts towards the ranking
+const FIELD_WEIGHTS = {
+  title: 3,
+  tech: 2,
+  client: 1.5,
+  text: 1            // summary + description
+};
+
+export function normalize(str) {
+  return String(str == null ? '' : str)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')   // strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]+/g, ' ')     // keep "c++" / "c#" intact
+    .trim();
+}
+
+// numbered spellings of the same technology; other digits are part of the
+// name ("Web3", "S3", "ES6" stay distinct)
+const TECH_ALIASES = {
+  html5: 'html',
+  css3: 'css',
+  vue3: 'vue'
+};
+
+/**
+ * Comparison key for a technology: normalised, a separate version number
+ * dropped ("Python 3.12", "Laravel v10") and aliases applied, so a "CSS"
+ * skill finds "CSS3" projects and "Vue" finds "Vue 3".
+ */
+export function techKey(name) {
+  const key = normalize(name).replace(/ v?\d+( \d+)*$/, '');
+  return TECH_ALIASES[key] || key;
+}
+
+export function tokenize(str) {
+  const norm = normalize(str);
+  return norm ? norm.split(' ') : [];
+}
+
+// Levenshtein distance, bailing out once it exceeds `max`
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = [];
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// typo budget grows with the length of what was typed
+function allowedTypos(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Score one query token against a field (pre-normalised string + words).
+ * 1 = word starts with token, 0.8 = substring, below that = fuzzy hit.
+ */
+function tokenScore(token, field) {
+  if (!field.text) return 0;
+  if (field.words.some(w => w.startsWith(token))) return 1;
+  if (field.text.includes(token)) return 0.8;
+
+  const max = allowedTypos(token);
+  if (!max) return 0;
+  let best = max + 1;
+  for (const word of field.words) {
+    // compare against the whole word and against prefixes around the
+    // token's length, so half-typed words with a typo still match
+    // ("javscr" -> javascript)
+    const d = Math.min(
+      editDistance(token, word, max),
+      editDistance(token, word.slice(0, token.length), max),
+      editDistance(token, word.slice(0, token.length + 1), max)
+    );
+    if (d < best) best = d;
+    if (best === 1) break;
+  }
+  return best <= max ? 0.6 - 0.15 * (best - 1) : 0;
+}
+
+// translated fields ({ en, id }) are searchable in every language
+function plain(value) {
+  return value && typeof value === 'object' ? Object.values(value).join(' ') : value;
+}
+
+function field(value) {
+  const text = normalize(plain(value));
+  return { text, words: text ? text.split(' ') : [] };
+}
+
+// normalised search fields are cached per record
+const indexCache = new WeakMap();
+function indexOf(project) {
+  let idx = indexCache.get(project);
+  if (!idx) {
+    idx = {
+      title: field(project.title),
+      tech: field((project.tech || []).join(' ')),
+      client: field(project.client),
+      text: field([plain(project.summary), plain(project.description)].join(' '))
+    };
+    indexCache.set(project, idx);
+  }
+  return idx;
+}
+
+/** 0 when any token is missing from every field, otherwise a rank score */
+export function textScore(project, tokens) {
+  if (!tokens.length) return 1;
+  const idx = indexOf(project);
+  let total = 0;
+  for (const token of tokens) {
+    let best = 0;
+    for (const name in FIELD_WEIGHTS) {
+      const s = tokenScore(token, idx[name]) * FIELD_WEIGHTS[name];
+      if (s > best) best = s;
+    }
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+}
+
+function hasTags(project, tags) {
+  if (!tags.length) return true;
+  const own = (project.tech || []).map(techKey);
+  return tags.every(tag => own.includes(techKey(tag)));
+}
+
+/** does `project` list `tech` (or another version of it)? */
+export function usesTech(project, tech) {
+  return hasTags(project, [tech]);
+}
+
+export function createState(init) {
+  return Object.assign({ category: 'all', text: '', tags: [] }, init);
+}
+
+/**
+ * Run a query. Returns matching records, ranked by text relevance when
+ * there is a search term and in catalogue order otherwise.
+ * opts.ignoreCategory is used for the per-category result counts.
+ */
+export function run(projects, state, opts) {
+  const ignoreCategory = opts && opts.ignoreCategory;
+  const tokens = tokenize(state.text);
+  const hits = [];
+  projects.forEach((project, order) => {
+    if (!ignoreCategory && state.category !== 'all' && project.category !== state.category) return;
+    if (!hasTags(project, state.tags)) return;
+    const score = textScore(project, tokens);
+    if (score > 0) hits.push({ project, score, order });
+  });
+  if (tokens.length) hits.sort((a, b) => b.score - a.score || a.order - b.order);
+  return hits.map(h => h.project);
+}
+
+/** result count per category for the current text + tags ("all" included) */
+export function countByCategory(projects, state) {
+  const counts = { all: 0 };
+  run(projects, state, { ignoreCategory: true }).forEach(p => {
+    counts.all++;
+    counts[p.category] = (counts[p.category] || 0) + 1;
+  });
+  return counts;
+}
+
+/** [{ tag, count }] for every distinct tech tag, most used first */
+export function tagUsage(projects) {
+  const usage = new Map();
+  projects.forEach(p => (p.tech || []).forEach(t => usage.set(t, (usage.get(t) || 0) + 1)));
+  return [...usage.keys()]
+    .sort((a, b) => usage.get(b) - usage.get(a) || a.localeCompare(b))
+    .map(tag => ({ tag, count: usage.get(tag) }));
+}
+
+/** every distinct tech tag, most used first */
+export function allTags(projects) {
+  return tagUsage(projects).map(entry => entry.tag);
+}
@@ -0,0 +1,58 @@
+/** radar.js
+ * SVG radar chart as html`` markup (template.js; no DOM needed, so it
+ * also runs in Node). One axis per point, value 0-100 along it, concentric
+ * rings every 100 / levels. Styling is left to CSS (.radar-*); every point
+ * carries data-index so the page can tie it to its card.
+ *
+ *   radarSVG([{ label: 'HTML', value: 95, category: 'languages' }, ...]);
+ *
+ * Fewer than three points make no polygon: '' is returned.
+ */
+
+import { html } from './template.js';
+
+const DEFAULTS = {
+  size: 400,       // viewBox width and height
+  margin: 70,      // room for the labels around the rings
+  levels: 5,
+  dot: 5           // point radius
+};
+
+const round = n => Math.round(n * 100) / 100;
+
+export function radarSVG(points, options) {
+  const o = Object.assign({}, DEFAULTS, options);
+  const n = points.length;
+  if (n < 3) return '';
+  const c = o.size / 2;
+  const radius = c - o.margin;
+
+  // first axis straight up, then clockwise; `r` in viewBox units from the centre
+  const polar = (i, r) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * i) / n;
+    return { x: round(c + r * Math.cos(angle)), y: round(c + r * Math.sin(angle)), cos: Math.cos(angle) };
+  };
+  // a 0-100 value on axis i; data outside that range stays on the chart
+  const at = (i, value) => polar(i, radius * Math.max(0, Math.min(100, Number(value) || 0)) / 100);
+  const polygon = value => points.map((p, i) => {
+    const { x, y } = at(i, value == null ? p.value : value);
+    return `${x},${y}`;
+  }).join(' ');
+
+  const rings = Array.from({ length: o.levels }, (_, level) =>
+    html`<polygon class="radar-ring" points="${polygon((100 * (level + 1)) / o.levels)}"/>`);
+
+  const axes = points.map((p, i) => {
+    const end = at(i, 100);
+    const label = polar(i, radius + o.margin * 0.45);
+    const anchor = label.cos > 0.3 ? 'start' : label.cos < -0.3 ? 'end' : 'middle';
+    return html`<line class="radar-axis" x1="${c}" y1="${c}" x2="${end.x}" y2="${end.y}"/><text class="radar-label" x="${label.x}" y="${label.y}" text-anchor="${anchor}" dominant-baseline="middle">${p.label}</text>`;
+  });
+
+  const dots = points.map((p, i) => {
+    const { x, y } = at(i, p.value);
+    return html`<circle class="radar-point" cx="${x}" cy="${y}" r="${o.dot}" data-index="${i}" data-category="${p.category || ''}"><title>${p.label}: ${Number(p.value) || 0}%</title></circle>`;
+  });
+
+  return html`<svg class="radar" viewBox="0 0 ${o.size} ${o.size}" xmlns="http://www.w3.org/2000/svg"><g class="radar-grid">${rings}${axes}</g><g class="radar-shape"><polygon class="radar-area" points="${polygon()}"/>${dots}</g></svg>`;
+}
@@ -0,0 +1,137 @@
+/** spatial-grid.js
+ * Uniform spatial hash for the particle networks. Points are bucketed into
+ * square cells the size of the connect distance, so each point is only
+ * compared with the points in its own and adjacent cells instead of with
+ * every other point (O(n) per frame for an even spread instead of O(n²)).
+ *
+ *   const grid = new SpatialGrid(120);
+ *   grid.rebuild(particles, width, height);
+ *   grid.forEachPair((a, b, distSq) => { ... });
+ */
+
+// neighbours visited from each cell; only "forward" ones, so every pair of
+// cells (and therefore every pair of points) is seen exactly once
+const FORWARD = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+export function SpatialGrid(cellSize) {
+  this.cellSize = cellSize;
+  this.cols = 0;
+  this.rows = 0;
+  this.points = [];
+  this.cellStart = new Int32Array(0);   // first slot of each cell in `order`
+  this.cellOf = new Int32Array(0);      // cell index of each point
+  this.order = new Int32Array(0);       // point indices sorted by cell
+}
+
+SpatialGrid.prototype.setCellSize = function (cellSize) {
+  this.cellSize = cellSize;
+};
+
+/**
+ * Re-bucket `points` (anything with x/y) for a width × height area.
+ * Points outside the area are clamped into the edge cells.
+ */
+SpatialGrid.prototype.rebuild = function (points, width, height) {
+  const size = this.cellSize;
+  const cols = Math.max(1, Math.ceil(width / size));
+  const rows = Math.max(1, Math.ceil(height / size));
+  const cellCount = cols * rows;
+  const n = points.length;
+
+  if (this.cellStart.length < cellCount + 1) this.cellStart = new Int32Array(cellCount + 1);
+  if (this.order.length < n) {
+    this.order = new Int32Array(n);
+    this.cellOf = new Int32Array(n);
+  }
+  this.cols = cols;
+  this.rows = rows;
+  this.points = points;
+
+  // counting sort: count per cell, prefix sum, then place
+  const start = this.cellStart;
+  start.fill(0, 0, cellCount + 1);
+  for (let i = 0; i < n; i++) {
+    const p = points[i];
+    const cx = Math.min(cols - 1, Math.max(0, Math.floor(p.x / size)));
+    const cy = Math.min(rows - 1, Math.max(0, Math.floor(p.y / size)));
+    const cell = cy * cols + cx;
+    this.cellOf[i] = cell;
+    start[cell + 1]++;
+  }
+  for (let c = 0; c < cellCount; c++) start[c + 1] += start[c];
+  const fill = start.slice(0, cellCount);
+  for (let i = 0; i < n; i++) this.order[fill[this.cellOf[i]]++] = i;
+};
+
+/**
+ * Call `cb(a, b, distSq)` once for every pair of points closer than
+ * `maxDist` (defaults to the cell size, which must be >= maxDist).
+ */
+SpatialGrid.prototype.forEachPair = function (cb, maxDist) {
+  const maxSq = Math.pow(maxDist == null ? this.cellSize : maxDist, 2);
+  const { cols, rows, points, order } = this;
+  const start = this.cellStart;
+
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      const cell = cy * cols + cx;
+      const s0 = start[cell];
+      const e0 = start[cell + 1];
+      if (s0 === e0) continue;
+
+      // pairs inside the cell
+      for (let i = s0; i < e0; i++) {
+        const a = points[order[i]];
+        for (let j = i + 1; j < e0; j++) {
+          const b = points[order[j]];
+          const dx = a.x - b.x, dy = a.y - b.y;
+          const d = dx * dx + dy * dy;
+          if (d < maxSq) cb(a, b, d);
+        }
+      }
+
+      // pairs with the forward neighbours
+      for (let k = 0; k < FORWARD.length; k++) {
+        const nx = cx + FORWARD[k][0];
+        const ny = cy + FORWARD[k][1];
+        if (nx < 0 || nx >= cols || ny >= rows) continue;
+        const other = ny * cols + nx;
+        const s1 = start[other];
+        const e1 = start[other + 1];
+        for (let i = s0; i < e0; i++) {
+          const a = points[order[i]];
+          for (let j = s1; j < e1; j++) {
+            const b = points[order[j]];
+            const dx = a.x - b.x, dy = a.y - b.y;
+            const d = dx * dx + dy * dy;
+            if (d < maxSq) cb(a, b, d);
+          }
+        }
+      }
+    }
+  }
+};
+
+/** call `cb(point, distSq)` for every point within `radius` of (x, y) */
+SpatialGrid.prototype.query = function (x, y, radius, cb) {
+  const size = this.cellSize;
+  const { cols, rows, points, order } = this;
+  const start = this.cellStart;
+  const rSq = radius * radius;
+  const x0 = Math.max(0, Math.floor((x - radius) / size));
+  const x1 = Math.min(cols - 1, Math.floor((x + radius) / size));
+  const y0 = Math.max(0, Math.floor((y - radius) / size));
+  const y1 = Math.min(rows - 1, Math.floor((y + radius) / size));
+
+  for (let cy = y0; cy <= y1; cy++) {
+    for (let cx = x0; cx <= x1; cx++) {
+      const cell = cy * cols + cx;
+      for (let i = start[cell]; i < start[cell + 1]; i++) {
+        const p = points[order[i]];
+        const dx = p.x - x, dy = p.y - y;
+        const d = dx * dx + dy * dy;
+        if (d < rSq) cb(p, d);
+      }
+    }
+  }
+};
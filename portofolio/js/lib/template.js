@@ -0,0 +1,83 @@
+/** template.js
+ * Escape-by-default markup for every dynamically rendered section. Values
+ * interpolated into an html`` template are escaped unless they are markup
+ * themselves (another html`` result, or raw()); arrays are joined, and
+ * null / undefined / false render nothing.
+ *
+ *   const item = html`<li><a href="${safeURL(p.url) || '#'}">${p.title}</a></li>`;
+ *   setHTML(list, html`<ul>${items.map(itemHTML)}</ul>`);
+ *
+ * setHTML() only writes markup built this way; a plain string is written as
+ * text. No DOM needed to build templates, so lib/views.js stays usable from
+ * Node (tools/prerender.mjs: String(markup) gives the HTML).
+ *
+ * URLs from the data go through safeURL(): relative URLs pass, absolute ones
+ * only with a scheme on the allow-list - no javascript:, data:, vbscript: ...
+ */
+
+import { escapeHTML } from './dom.js';
+
+export const LINK_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+export const MEDIA_SCHEMES = ['http:', 'https:'];
+
+/* ---------- markup ---------- */
+
+function SafeHTML(markup) {
+  this.markup = markup;
+}
+
+SafeHTML.prototype.toString = function () {
+  return this.markup;
+};
+
+function piece(value) {
+  if (value instanceof SafeHTML) return value.markup;
+  if (Array.isArray(value)) return value.map(piece).join('');
+  if (value == null || value === false) return '';
+  return escapeHTML(value);
+}
+
+/** tagged template: literal parts kept, interpolated values escaped */
+export function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += piece(value) + strings[i + 1];
+  });
+  return new SafeHTML(markup);
+}
+
+/** trusted markup (e.g. from the i18n dictionaries) passed through as is */
+export function raw(markup) {
+  return new SafeHTML(String(markup == null ? '' : markup));
+}
+
+export function isHTML(value) {
+  return value instanceof SafeHTML;
+}
+
+/** replace the element's content; anything but html`` / raw() is set as text */
+export function setHTML(el, markup) {
+  if (markup instanceof SafeHTML) el.innerHTML = markup.markup;
+  else el.textContent = markup == null ? '' : String(markup);
+}
+
+/** same as setHTML(), appended after the current content */
+export function appendHTML(el, markup) {
+  el.insertAdjacentHTML('beforeend', piece(markup));
+}
+
+/* ---------- URLs ---------- */
+
+/**
+ * `value` if it is a relative URL or uses one of `schemes`, otherwise null.
+ * Browsers drop tabs, newlines and leading control characters before
+ * reading the scheme ("java\tscript:"), so the check does too.
+ */
+export function safeURL(value, schemes) {
+  if (typeof value !== 'string') return null;
+  const url = value.trim();
+  if (!url) return null;
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\u0000- \u007f]+/g, ''));
+  if (!match) return url;
+  return (schemes || LINK_SCHEMES).includes(match[1].toLowerCase() + ':') ? url : null;
+}
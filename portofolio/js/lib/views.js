@@ -0,0 +1,282 @@
+/** views.js
+ * Markup for the resume-driven sections, shared by the modules in the
+ * browser and by tools/prerender.mjs in Node - so a pre-rendered page holds
+ * exactly what the modules would render. No DOM or page state in here: text
+ * comes in through a context object
+ *
+ *   { t(key, params), field(item, key), lang }
+ *
+ * (i18n.js viewContext() in the browser, the build's own one in Node).
+ * Everything is built with html`` (template.js), so values are escaped and
+ * the *HTML() functions return markup for setHTML(); URLs from the data go
+ * through safeURL() first.
+ */
+
+import { html, safeURL, MEDIA_SCHEMES } from './template.js';
+import * as Career from './career.js';
+import { usesTech } from './project-query.js';
+
+export const PROJECTS_PER_PAGE = 6;   // cards per "Load More" batch
+
+const imageURL = src => safeURL(src, MEDIA_SCHEMES);
+
+/* ---------- hero / about ---------- */
+
+/** role lines for Typed.js */
+export function heroRoles(basics, ctx) {
+  const list = ctx.field(basics, 'roles');
+  return Array.isArray(list) ? list : [];
+}
+
+// Font Awesome brand icon named after the network ("GitHub" -> fa-github)
+function profileHTML(profile) {
+  const network = String(profile.network || '');
+  const icon = network.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  return html`<a href="${safeURL(profile.url)}" aria-label="${network}" rel="me noopener" target="_blank"><i class="fab fa-${icon}" aria-hidden="true"></i></a>`;
+}
+
+/** profile links; ones without a usable URL are left out */
+export function profilesHTML(basics) {
+  return html`${(basics.profiles || []).filter(p => safeURL(p.url)).map(profileHTML)}`;
+}
+
+/** a country / region code ("ID") in `lang`, the code itself without Intl support */
+export function regionName(code, lang) {
+  if (!code) return '';
+  try {
+    return new Intl.DisplayNames([lang], { type: 'region' }).of(code) || code;
+  } catch (err) {
+    return code;
+  }
+}
+
+/** values for the about section's <span data-field="..."> */
+export function aboutFields(basics, ctx) {
+  const location = basics.location;
+  return {
+    name: basics.name,
+    age: basics.age,
+    address: location
+      ? [location.city, ctx.field(location, 'region'), regionName(location.countryCode, ctx.lang)].filter(Boolean).join(', ')
+      : '',
+    nationality: ctx.field(basics, 'nationality')
+  };
+}
+
+/** basics.image if it is safe to load, else null */
+export function photoURL(basics) {
+  return imageURL(basics.image);
+}
+
+/* ---------- education ---------- */
+
+function educationPeriod(entry, ctx) {
+  if (entry.status === 'planned') return ctx.t('education.soon');
+  const year = date => String(date || '').slice(0, 4);
+  return `${year(entry.startDate)} - ${entry.endDate ? year(entry.endDate) : ctx.t('education.now')}`;
+}
+
+function educationItemHTML(entry, ctx) {
+  const logo = imageURL(entry.logo)
+    && html`<div class="logo-container"><img src="${imageURL(entry.logo)}" alt="${ctx.t('education.schoolLogo')}" loading="lazy"></div>`;
+  return html`
+    <div class="timeline-item">
+      <div class="timeline-date">${educationPeriod(entry, ctx)}</div>
+      <div class="timeline-content">
+        ${logo}
+        <div>
+          <h3>${ctx.field(entry, 'institution')}</h3>
+          <h4>${ctx.field(entry, 'area') || ''}</h4>
+          <p>${ctx.t('education.gpa')} : ${entry.score || '-'}</p>
+        </div>
+      </div>
+    </div>`;
+}
+
+export function educationHTML(entries, ctx) {
+  return html`${entries.map(entry => educationItemHTML(entry, ctx))}`;
+}
+
+/* ---------- experience ---------- */
+
+// only bars with a name and a 0-100 percentage make it onto the card
+function skillBars(job) {
+  return (job.skills || []).filter(skill => {
+    const ok = skill && typeof skill.name === 'string' && Number.isFinite(Number(skill.percent))
+      && skill.percent >= 0 && skill.percent <= 100;
+    if (!ok) console.warn('views.js: skipping invalid skill bar', skill, 'in', job.name);
+    return ok;
+  });
+}
+
+// a toggle button (flips to the skills on the back) described by its front face
+function careerCardHTML(job, index, ctx) {
+  const position = ctx.field(job, 'position') || '';
+  const period = `${Career.formatDate(job.startDate, ctx.lang)} - ${job.endDate ? Career.formatDate(job.endDate, ctx.lang) : ctx.t('experience.present')}`;
+  const duration = Career.formatDuration(Career.monthsBetween(job.startDate, job.endDate),
+    (unit, count) => ctx.t('experience.duration.' + unit, { count }));
+  const bars = skillBars(job).map(skill => html`
+            <label>${skill.name}</label>
+            <div class="skill-progress-bar" style="--value:${Number(skill.percent)}%"></div>`);
+  return html`
+      <div class="career-card" role="button" tabindex="0" aria-pressed="false" aria-label="${ctx.t('experience.card', { position })}" aria-describedby="career-front-${index}">
+        <div class="career-card-inner">
+          <div class="career-card-front" id="career-front-${index}">
+            <h3>${position}</h3>
+            <span>${period} | ${ctx.field(job, 'name') || ''}</span>
+            ${duration && html`<span class="career-duration">${duration}</span>`}
+            <p>${ctx.field(job, 'summary') || ''}</p>
+          </div>
+          <div class="career-card-back">
+            <h4>${ctx.t('experience.skillsUsed')}</h4>
+            <p>${Career.skillsOf(job).join(', ')}</p>
+            <div class="skill-progress">${bars}
+            </div>
+          </div>
+        </div>
+      </div>`;
+}
+
+/** timeline entries for `jobs` (already sorted), alternating sides */
+export function careerHTML(jobs, ctx) {
+  return html`${jobs.map((job, index) => html`
+    <div class="career-entry" data-index="${index}" data-side="${index % 2 ? 'right' : 'left'}">
+      <div class="career-center">
+        <span class="career-dot" aria-hidden="true"></span>
+      </div>
+      <div class="career-item">${careerCardHTML(job, index, ctx)}</div>
+    </div>`)}`;
+}
+
+/** "All" + one chip per skill; `active` is the selected skill or null */
+export function careerFilterHTML(skills, active, ctx) {
+  const chip = (value, label) => {
+    const on = value === active;
+    return html`<button type="button" class="tag-btn${on ? ' active' : ''}" data-skill="${value || ''}" aria-pressed="${String(on)}">${label}</button>`;
+  };
+  return html`${[chip(null, ctx.t('experience.all'))].concat(skills.map(name => chip(name, name)))}`;
+}
+
+/* ---------- skills ---------- */
+
+// known resume skill categories, in display order; the rest follow as
+// written, skills without one come last under "other"
+export const SKILL_CATEGORIES = ['languages', 'frameworks', 'tools'];
+const OTHER = 'other';
+
+function categoryLabel(key, ctx) {
+  return SKILL_CATEGORIES.includes(key) || key === OTHER ? ctx.t('skills.categories.' + key) : key;
+}
+
+/** [{ category, skills }] in display order; cards, chart and table all use it */
+export function skillGroups(skills) {
+  const groups = new Map(SKILL_CATEGORIES.map(key => [key, []]));
+  skills.filter(skill => skill && skill.name).forEach(skill => {
+    const key = String(skill.category || OTHER).toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(skill);
+  });
+  const other = groups.get(OTHER);
+  groups.delete(OTHER);
+  if (other) groups.set(OTHER, other);
+  return [...groups].filter(([, list]) => list.length).map(([category, list]) => ({ category, skills: list }));
+}
+
+/** skills flattened in group order: index i here is data-index="i" on card and chart point */
+export function orderedSkills(skills) {
+  return skillGroups(skills).reduce((all, group) => all.concat(group.skills), []);
+}
+
+// the projects behind a skill: a link filtering the grid, then each project
+function skillUsageHTML(skill, projects, ctx) {
+  const used = projects.filter(project => usesTech(project, skill.name));
+  if (!used.length) return html`<p class="skill-uses">${ctx.t('skills.usedIn.none')}</p>`;
+  const label = ctx.t(used.length === 1 ? 'skills.usedIn.one' : 'skills.usedIn.other', { count: used.length });
+  const links = used.map(project =>
+    html`<li><a href="?project=${encodeURIComponent(project.id)}" data-project="${project.id}">${project.title}</a></li>`);
+  return html`<a class="skill-uses" href="#portfolio" data-tech="${skill.name}">${label}</a><ul class="skill-projects">${links}</ul>`;
+}
+
+function skillCardHTML(skill, index, projects, ctx) {
+  const [c1, c2] = skill.colors || [];
+  // the icon is decorative: the heading already names the skill
+  const icon = imageURL(skill.icon) && html`<img src="${imageURL(skill.icon)}" alt="" class="skill-icon" loading="lazy" />`;
+  return html`
+      <div class="skill-card" data-index="${index}" data-name="${skill.name}" data-skill="${Number(skill.percent) || 0}" data-color1="${c1 || ''}" data-color2="${c2 || c1 || ''}">
+        ${icon}
+        <h4>${skill.name}</h4>
+        <div class="progress-bar"><span></span></div>
+        <div class="skill-usage">${skillUsageHTML(skill, projects, ctx)}</div>
+      </div>`;
+}
+
+/**
+ * Skill cards grouped by category. `projects` ({ id, title, tech }, title
+ * already in the page language) are listed on the skills they use.
+ */
+export function skillsHTML(skills, ctx, projects) {
+  let index = 0;
+  return html`${skillGroups(skills).map(group => html`
+    <div class="skill-group" data-category="${group.category}">
+      <h3 class="skill-group-title">${categoryLabel(group.category, ctx)}</h3>
+      <div class="skill-grid">${group.skills.map(skill => skillCardHTML(skill, index++, projects || [], ctx))}
+      </div>
+    </div>`)}`;
+}
+
+/** the chart's numbers as a table, for screen readers and anyone who prefers one */
+export function skillsTableHTML(skills, ctx) {
+  const rows = skillGroups(skills).map(group => group.skills.map(skill => html`
+        <tr>
+          <th scope="row">${skill.name}</th>
+          <td>${categoryLabel(group.category, ctx)}</td>
+          <td>${skill.level ? ctx.t('cv.levels.' + String(skill.level).toLowerCase()) : ''}</td>
+          <td>${Number(skill.percent) || 0}%</td>
+        </tr>`));
+  return html`
+    <table class="skills-table">
+      <caption>${ctx.t('skills.table.caption')}</caption>
+      <thead>
+        <tr>
+          <th scope="col">${ctx.t('skills.table.skill')}</th>
+          <th scope="col">${ctx.t('skills.table.category')}</th>
+          <th scope="col">${ctx.t('skills.table.level')}</th>
+          <th scope="col">${ctx.t('skills.table.percent')}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+}
+
+/* ---------- projects ---------- */
+
+/**
+ * one portfolio card; `card` holds plain strings { id, category, image, title, summary }.
+ * Without a usable image the thumbnail is a placeholder, not an <img src="">.
+ */
+export function projectCardHTML(card, ctx) {
+  const image = imageURL(card.image);
+  const thumb = image
+    ? html`<img src="${image}" alt="${card.title}" loading="lazy">`
+    : html`<div class="project-thumb-placeholder" aria-hidden="true"><i class="fas fa-image"></i></div>`;
+  return html`
+    <div class="project-card" data-category="${card.category}" data-id="${card.id}">
+      <div class="project-thumb">
+        ${thumb}
+      </div>
+      <div class="project-overlay">
+        <h3>${card.title}</h3>
+        <p>${card.summary}</p>
+        <button class="view-detail" data-id="${card.id}">${ctx.t('portfolio.viewDetails')}</button>
+      </div>
+    </div>`;
+}
+
+/** tech badges in the project modal, each one a way into the grid filtered by it */
+export function techBadgesHTML(tech, ctx) {
+  return html`${(tech || []).map(name => {
+    const title = ctx.t('modal.techFilter', { tech: name });
+    return html`<a class="tech-badge" href="#portfolio" data-tech="${name}" title="${title}">${name}</a>`;
+  })}`;
+}
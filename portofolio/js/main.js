@@ -0,0 +1,52 @@
+/** main.js
+ * Entry point (<script type="module">). Every feature registers with the
+ * bootstrapper here; each one starts once, when its section nears the
+ * viewport, or immediately when marked eager.
+ */
+
+import { register, start } from './core/bootstrap.js';
+import * as nav from './modules/nav.js';
+import * as scrollSpy from './modules/scroll-spy.js';
+import * as motionToggle from './modules/motion-toggle.js';
+import * as themeToggle from './modules/theme-toggle.js';
+import * as langSwitch from './modules/lang-switch.js';
+import * as hero from './modules/hero.js';
+import * as about from './modules/about.js';
+import * as education from './modules/education.js';
+import * as animations from './modules/animations.js';
+import * as particles from './modules/particles.js';
+import * as skills from './modules/skills.js';
+import * as experience from './modules/experience.js';
+import * as stats from './modules/stats.js';
+import * as modal from './modules/modal.js';
+import * as projects from './modules/projects.js';
+import * as contact from './modules/contact.js';
+import * as contactChannels from './modules/contact-channels.js';
+import * as cv from './modules/cv.js';
+import * as commandPalette from './modules/command-palette.js';
+import * as pwa from './modules/pwa.js';
+
+register('nav', { selector: '.navbar', eager: true, init: nav.init });
+register('scroll-spy', { selector: '.navbar', eager: true, init: scrollSpy.init });
+register('motion-toggle', { selector: '#motionToggle', eager: true, init: motionToggle.init });
+register('lang-switch', { selector: '#langSwitch', eager: true, init: langSwitch.init });
+register('theme-toggle', { selector: '#themeToggle', eager: true, init: themeToggle.init });
+register('particles', { selector: '#particles', eager: true, init: particles.init });
+register('animations', { eager: true, init: animations.init });
+// eager: ?print=cv and Ctrl+P need the CV before any section is in view
+register('cv', { eager: true, init: cv.init });
+register('command-palette', { eager: true, init: commandPalette.init });
+register('pwa', { eager: true, init: pwa.init });
+register('hero', { selector: '#home', init: hero.init });
+register('about', { selector: '#about', init: about.init });
+register('skills', { selector: '#skills', init: skills.init });
+register('education', { selector: '#education', init: education.init });
+register('experience', { selector: '#experience', init: experience.init });
+register('stats', { selector: '.portfolio-stats', init: stats.init });
+// eager: ?project=<slug> deep links must open without scrolling first
+register('modal', { selector: '#projectModal', eager: true, init: modal.init });
+register('projects', { selector: '#portfolio', init: projects.init });
+register('contact', { selector: '#contact', init: contact.init });
+register('contact-channels', { selector: '.contact-channels', init: contactChannels.init });
+
+start();
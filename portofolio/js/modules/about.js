@@ -0,0 +1,37 @@
+/** about.js
+ * About section filled from resume.basics: summary, photo and the info list
+ * (<span data-field="name|age|address|nationality">). Text follows the
+ * current language; a pre-rendered section is kept as it is.
+ */
+
+import { localizedField, onLangChange, viewContext } from '../core/i18n.js';
+import { loadResume } from '../core/data.js';
+import { hydrates } from '../core/prerender.js';
+import { aboutFields, photoURL } from '../lib/views.js';
+
+export function init(section) {
+  let basics = null;
+
+  function fill() {
+    if (!basics) return;
+    const summary = section.querySelector('.about-summary');
+    const photo = section.querySelector('.about-image img');
+    if (summary) summary.textContent = localizedField(basics, 'summary') || '';
+    if (photo && photoURL(basics)) photo.src = photoURL(basics);
+
+    const values = aboutFields(basics, viewContext());
+    section.querySelectorAll('[data-field]').forEach(el => {
+      const value = values[el.getAttribute('data-field')];
+      el.textContent = value == null ? '' : value;
+    });
+  }
+
+  onLangChange(fill);
+
+  return loadResume()
+    .then(resume => {
+      basics = resume.basics || {};
+      if (!hydrates(section)) fill();
+    })
+    .catch(err => console.error('about.js: could not load the resume', err));
+}
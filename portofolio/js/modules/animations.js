@@ -0,0 +1,23 @@
+/** animations.js
+ * AOS (animate on scroll) for every [data-aos] element on the page.
+ * AOS has no way to turn itself back on once disabled, so reduced motion is
+ * handled in CSS (html.reduce-motion shows every [data-aos] as-is).
+ */
+
+import { isReduced, onMotionChange } from '../core/motion.js';
+
+export function init() {
+  if (!window.AOS) return;
+  window.AOS.init({
+    duration: 1000,
+    once: true
+  });
+  // positions may have shifted while the effects were off; quality-level
+  // changes also notify, and a full refresh then would only add to the jank
+  let wasReduced = isReduced();
+  onMotionChange(({ reduced }) => {
+    if (reduced === wasReduced) return;
+    wasReduced = reduced;
+    if (!reduced) window.AOS.refreshHard();
+  });
+}
@@ -0,0 +1,339 @@
+/** command-palette.js
+ * Command palette: Ctrl+K / ⌘K (or "/" outside text fields) opens a search
+ * box over the whole site. It fuzzy-matches (lib/fuzzy.js)
+ *
+ * - sections, jumped to through scroll-spy.js
+ * - projects, opened in the project modal
+ * - skills, scrolled to and briefly spotlit
+ * - actions: copy e-mail, open WhatsApp, switch theme / language, CV
+ *
+ * The input is an ARIA combobox driving a listbox: focus stays in the
+ * input, ↑/↓ (Home/End) move the active option (aria-activedescendant),
+ * Enter runs it, Escape closes. Runs are remembered (localStorage) and the
+ * last few show on top as "Recent" while the query is empty.
+ *
+ * "Copy e-mail" needs resume basics.email, without it the action is "Send
+ * a message" (the contact form). "WhatsApp" chats with the contact form's
+ * WhatsApp data-to or basics.phone; without a number WhatsApp asks whom to.
+ */
+
+import { Dialog, announce } from '../lib/dialog.js';
+import { html, setHTML } from '../lib/template.js';
+import { fuzzyMatch, highlightHTML } from '../lib/fuzzy.js';
+import { normalizeTarget } from '../lib/deep-links.js';
+import { load, whenReady } from '../core/bootstrap.js';
+import { loadProjects, loadResume } from '../core/data.js';
+import { LANGS, getLang, localized, onLangChange, setLang, t } from '../core/i18n.js';
+import { nextTheme, setTheme } from '../core/theme.js';
+
+const STORAGE_KEY = 'palette-recent';
+const MAX_RECENT = 5;
+const MAX_PER_GROUP = 8;       // while searching
+const SPOTLIGHT_MS = 2000;
+const GROUPS = ['sections', 'projects', 'skills', 'actions'];
+
+// sections named by their navbar label; others fall back to their heading
+const SECTION_KEYS = {
+  home: 'nav.home',
+  about: 'nav.aboutMe',
+  skills: 'nav.skills',
+  education: 'nav.education',
+  experience: 'experience.title',
+  portfolio: 'nav.portfolio',
+  contact: 'nav.contact'
+};
+
+const isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+let resume = null;
+let projects = [];
+
+/* ---------- recent items ---------- */
+
+function readRecent() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(id => typeof id === 'string') : [];
+  } catch (err) {
+    return [];      // storage blocked or garbage in it
+  }
+}
+
+function remember(id) {
+  const list = [id].concat(readRecent().filter(other => other !== id)).slice(0, MAX_RECENT);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    // storage blocked (private mode): recents just are not kept
+  }
+}
+
+/* ---------- items ---------- */
+
+function goTo(id) {
+  return whenReady('scroll-spy').then(spy => {
+    if (spy) spy.goTo(id);
+    else location.hash = id;
+  });
+}
+
+function spotlightSkill(name) {
+  // the section may not have started yet: start it, then find the card
+  return load('skills').then(() => {
+    const card = [...document.querySelectorAll('#skills .skill-card')].find(el => el.dataset.name === name);
+    if (!card) return goTo('skills');
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('is-spotlit');
+    setTimeout(() => card.classList.remove('is-spotlit'), SPOTLIGHT_MS);
+  });
+}
+
+function copyEmail(email) {
+  const copy = navigator.clipboard ? navigator.clipboard.writeText(email) : Promise.reject(new Error('no clipboard'));
+  return copy
+    .then(() => announce(t('palette.copied', { email })))
+    .catch(() => announce(t('palette.copyFailed', { email })));
+}
+
+function whatsappNumber() {
+  const link = document.querySelector('[data-channel="whatsapp"]');
+  const to = (link && link.getAttribute('data-to')) || (resume && resume.basics && resume.basics.phone);
+  return normalizeTarget('whatsapp', to);
+}
+
+function sectionItems() {
+  return [...document.querySelectorAll('section[id]')].map(section => {
+    const key = SECTION_KEYS[section.id];
+    const heading = section.querySelector('h1, h2');
+    const label = key ? t(key) : heading && heading.textContent.trim();
+    return label && { id: 'section:' + section.id, group: 'sections', icon: 'fa-hashtag', label, run: () => goTo(section.id) };
+  }).filter(Boolean);
+}
+
+function projectItems() {
+  return projects.map(project => ({
+    id: 'project:' + project.id,
+    group: 'projects',
+    icon: 'fa-folder-open',
+    label: localized(project.title),
+    keywords: [localized(project.category), localized(project.client)].concat(project.tech || []).filter(Boolean).join(' '),
+    run: opener => whenReady('modal').then(modal => modal && modal.openProjectById(project.id, opener))
+  }));
+}
+
+function skillItems() {
+  const skills = resume && Array.isArray(resume.skills) ? resume.skills : [];
+  return skills.filter(skill => skill && skill.name).map(skill => ({
+    id: 'skill:' + skill.name,
+    group: 'skills',
+    icon: 'fa-code',
+    label: skill.name,
+    keywords: (skill.keywords || []).join(' '),
+    run: () => spotlightSkill(skill.name)
+  }));
+}
+
+function actionItems() {
+  const email = resume && resume.basics && resume.basics.email;
+  const phone = whatsappNumber();
+  const lang = LANGS[(LANGS.indexOf(getLang()) + 1) % LANGS.length];
+  return [
+    email
+      ? { id: 'action:email', icon: 'fa-envelope', label: t('palette.actions.copyEmail'), keywords: email, run: () => copyEmail(email) }
+      : { id: 'action:message', icon: 'fa-envelope', label: t('palette.actions.message'), run: () => goTo('contact') },
+    {
+      id: 'action:whatsapp',
+      icon: 'fa-comment',
+      label: t('palette.actions.whatsapp'),
+      run: () => window.open(`https://wa.me/${phone || ''}`, '_blank', 'noopener')
+    },
+    {
+      id: 'action:theme',
+      icon: 'fa-circle-half-stroke',
+      label: t('nav.switchTheme', { name: t(`theme.${nextTheme()}`) }),
+      run: () => setTheme(nextTheme())
+    },
+    { id: 'action:language', icon: 'fa-language', label: t('palette.actions.language'), keywords: lang, run: () => setLang(lang) },
+    { id: 'action:cv', icon: 'fa-file-arrow-down', label: t('palette.actions.cv'), run: () => whenReady('cv').then(cv => cv && cv.openCV()) }
+  ].filter(Boolean).map(item => Object.assign({ group: 'actions' }, item));
+}
+
+function allItems() {
+  return sectionItems().concat(projectItems(), skillItems(), actionItems());
+}
+
+/**
+ * Groups to show: [{ key, items: [{ item, positions }] }]. An empty query
+ * lists everything, recents first; otherwise groups are ranked by their best
+ * match. Keywords only count when the label itself does not match.
+ */
+function search(items, query) {
+  if (!query.trim()) {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const recent = readRecent().map(id => byId.get(id)).filter(Boolean);
+    return [{ key: 'recent', items: recent }]
+      .concat(GROUPS.map(key => ({ key, items: items.filter(item => item.group === key && !recent.includes(item)) })))
+      .map(group => Object.assign(group, { items: group.items.map(item => ({ item, positions: [] })) }))
+      .filter(group => group.items.length);
+  }
+  const hits = items.map(item => {
+    const label = fuzzyMatch(query, item.label);
+    if (label) return { item, positions: label.positions, score: label.score };
+    const keywords = item.keywords && fuzzyMatch(query, item.keywords);
+    return keywords && { item, positions: [], score: keywords.score / 2 };
+  }).filter(Boolean).sort((a, b) => b.score - a.score);
+  return GROUPS
+    .map(key => ({ key, items: hits.filter(hit => hit.item.group === key).slice(0, MAX_PER_GROUP) }))
+    .filter(group => group.items.length)
+    .sort((a, b) => b.items[0].score - a.items[0].score);
+}
+
+/* ---------- palette ---------- */
+
+function build() {
+  const el = document.createElement('div');
+  el.className = 'palette';
+  el.id = 'commandPalette';
+  setHTML(el, html`
+    <div class="palette-box">
+      <h2 class="sr-only" id="paletteTitle"></h2>
+      <div class="palette-search">
+        <i class="fas fa-magnifying-glass" aria-hidden="true"></i>
+        <input type="text" class="palette-input" role="combobox" aria-expanded="true" aria-controls="paletteList"
+          aria-autocomplete="list" aria-labelledby="paletteTitle" autocomplete="off" spellcheck="false">
+      </div>
+      <div class="palette-list" id="paletteList" role="listbox" aria-labelledby="paletteTitle"></div>
+      <p class="palette-empty" hidden></p>
+      <p class="palette-hint" aria-hidden="true"></p>
+      <p class="sr-only palette-status" aria-live="polite"></p>
+    </div>`);
+  document.body.appendChild(el);
+  return el;
+}
+
+export function init() {
+  const el = build();
+  const input = el.querySelector('.palette-input');
+  const list = el.querySelector('.palette-list');
+  const empty = el.querySelector('.palette-empty');
+  const status = el.querySelector('.palette-status');
+  const trigger = document.getElementById('paletteToggle');
+  const shortcut = isMac ? '⌘K' : 'Ctrl+K';
+  let options = [];            // items in display order
+  let active = -1;
+
+  const dialog = new Dialog(el, {
+    labelledBy: 'paletteTitle',
+    initialFocus: '.palette-input',
+    closeSelector: null,
+    onClose: () => { input.value = ''; }
+  });
+
+  function labels() {
+    el.querySelector('#paletteTitle').textContent = t('palette.title');
+    el.querySelector('.palette-hint').textContent = t('palette.hint');
+    input.placeholder = t('palette.placeholder');
+    if (trigger) {
+      trigger.title = t('palette.open', { shortcut });
+      trigger.setAttribute('aria-keyshortcuts', isMac ? 'Meta+K' : 'Control+K');
+      const label = trigger.querySelector('.sr-only');
+      if (label) label.textContent = trigger.title;
+    }
+  }
+
+  function setActive(index) {
+    active = options.length ? (index + options.length) % options.length : -1;
+    list.querySelectorAll('[role="option"]').forEach((opt, i) => {
+      opt.setAttribute('aria-selected', String(i === active));
+      if (i === active) opt.scrollIntoView({ block: 'nearest' });
+    });
+    if (active >= 0) input.setAttribute('aria-activedescendant', 'palette-opt-' + active);
+    else input.removeAttribute('aria-activedescendant');
+  }
+
+  function render() {
+    const query = input.value;
+    const groups = search(allItems(), query);
+    options = [];
+    setHTML(list, html`${groups.map(group => html`
+      <div role="group" aria-labelledby="palette-group-${group.key}">
+        <div class="palette-group" id="palette-group-${group.key}" role="presentation">${t('palette.groups.' + group.key)}</div>
+        ${group.items.map(({ item, positions }) => {
+          const index = options.push(item) - 1;
+          return html`<div class="palette-option" role="option" id="palette-opt-${index}" data-index="${index}" aria-selected="false">
+          <i class="fas ${item.icon}" aria-hidden="true"></i>
+          <span class="palette-label">${highlightHTML(item.label, positions)}</span>
+        </div>`;
+        })}
+      </div>`)}`);
+    empty.hidden = options.length > 0;
+    empty.textContent = options.length ? '' : t('palette.empty', { query });
+    status.textContent = query.trim() ? t(options.length === 1 ? 'palette.result' : 'palette.results', { count: options.length }) : '';
+    setActive(0);
+  }
+
+  function run(index) {
+    const item = options[index];
+    if (!item) return;
+    const opener = dialog.opener;
+    remember(item.id);
+    dialog.close();
+    Promise.resolve(item.run(opener)).catch(err => console.error(`command-palette.js: "${item.id}" failed`, err));
+  }
+
+  function open() {
+    if (dialog.isOpen) return;
+    render();
+    dialog.open();
+  }
+
+  function close() {
+    dialog.close();
+  }
+
+  input.addEventListener('input', render);
+  input.addEventListener('keydown', e => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+    else if (e.key === 'Home' && e.ctrlKey) setActive(0);
+    else if (e.key === 'End' && e.ctrlKey) setActive(options.length - 1);
+    else if (e.key === 'Enter') run(active);
+    else return;
+    e.preventDefault();
+  });
+  list.addEventListener('mousemove', e => {
+    const opt = e.target.closest('[role="option"]');
+    if (opt && +opt.dataset.index !== active) setActive(+opt.dataset.index);
+  });
+  list.addEventListener('click', e => {
+    const opt = e.target.closest('[role="option"]');
+    if (opt) run(+opt.dataset.index);
+  });
+
+  document.addEventListener('keydown', e => {
+    if (e.defaultPrevented) return;
+    const combo = (e.key === 'k' || e.key === 'K') && (isMac ? e.metaKey : e.ctrlKey) && !e.altKey && !e.shiftKey;
+    // "/" only outside text fields, where it would be typed
+    const slash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey
+      && !e.target.closest('input, textarea, select, [contenteditable]');
+    if (!combo && !slash) return;
+    e.preventDefault();
+    if (dialog.isOpen) {
+      if (combo) close();
+    } else {
+      open();
+    }
+  });
+  if (trigger) trigger.addEventListener('click', open);
+
+  onLangChange(() => {
+    labels();
+    if (dialog.isOpen) render();
+  });
+  labels();
+
+  // items fill in as the data arrives; the palette works without it
+  loadResume().then(data => { resume = data; }).catch(err => console.error('command-palette.js: could not load the resume', err));
+  loadProjects().then(list => { projects = list; }).catch(err => console.error('command-palette.js: could not load projects', err));
+
+  return { open, close };
+}
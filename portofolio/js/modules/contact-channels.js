@@ -0,0 +1,114 @@
+/** contact-channels.js
+ * "Send it with WhatsApp / e-mail / Telegram" buttons under the contact
+ * form. Each <a data-channel data-to> gets a deep link (deep-links.js)
+ * composed from what the visitor already typed, refreshed on every input.
+ *
+ * Configure a channel with its data-to attribute: WhatsApp number in
+ * international format (62812...), e-mail address, or Telegram username.
+ * An empty data-to falls back to the resume: basics.phone (or a "WhatsApp"
+ * profile), basics.email, a "Telegram" profile's username. Channels with no
+ * usable target either way stay hidden - except WhatsApp, which then lets
+ * the visitor pick the chat (deep-links.js canShare()).
+ *
+ * The buttons stay disabled (aria-disabled, no href) until name, e-mail and
+ * message pass the same field checks as the form itself.
+ */
+
+import { buildLink, canShare, normalizeTarget } from '../lib/deep-links.js';
+import { checkField } from '../lib/contact-guard.js';
+import { onLangChange, t } from '../core/i18n.js';
+import { loadResume } from '../core/data.js';
+
+const FIELDS = ['name', 'email', 'message'];
+
+function profileName(basics, network) {
+  const profile = (basics.profiles || []).find(p => p && String(p.network).toLowerCase() === network);
+  return profile ? profile.username : null;
+}
+
+// the resume's contact details for `channel`, when data-to leaves it open
+function resumeTarget(channel, basics) {
+  if (channel === 'whatsapp') return basics.phone || profileName(basics, 'whatsapp');
+  if (channel === 'email') return basics.email;
+  if (channel === 'telegram') return profileName(basics, 'telegram');
+  return null;
+}
+
+export function init(group) {
+  const form = group.closest('form') || document.getElementById('contactForm');
+  if (!form) return;
+
+  return loadResume()
+    .catch(err => {
+      console.warn('contact-channels.js: resume not loaded, using data-to only', err);
+      return {};
+    })
+    .then(resume => setup(group, form, resume.basics || {}));
+}
+
+function setup(group, form, basics) {
+  group.querySelectorAll('[data-channel]').forEach(link => {
+    const target = !link.getAttribute('data-to') && resumeTarget(link.getAttribute('data-channel'), basics);
+    if (target) link.setAttribute('data-to', target);
+  });
+
+  const links = [...group.querySelectorAll('[data-channel]')].filter(link => {
+    const channel = link.getAttribute('data-channel');
+    const to = link.getAttribute('data-to');
+    const ok = !!normalizeTarget(channel, to) || canShare(channel);
+    if (to && !normalizeTarget(channel, to)) console.warn(`contact-channels.js: invalid data-to "${to}" for ${channel}`);
+    link.hidden = !ok;
+    return ok;
+  });
+  if (!links.length) {
+    group.hidden = true;
+    return;
+  }
+
+  function values() {
+    const out = {};
+    FIELDS.forEach(name => {
+      const input = form.elements[name];
+      out[name] = input ? input.value.trim() : '';
+    });
+    return out;
+  }
+
+  function update() {
+    const fields = values();
+    const valid = FIELDS.every(name => !checkField(name, fields[name]));
+    const msg = {
+      subject: t('contact.compose.subject', { name: fields.name }),
+      text: t('contact.compose.text', fields)
+    };
+
+    links.forEach(link => {
+      const href = valid && buildLink(link.getAttribute('data-channel'), link.getAttribute('data-to'), msg);
+      if (href) {
+        link.href = href;
+        link.removeAttribute('aria-disabled');
+        link.removeAttribute('title');
+      } else {
+        link.removeAttribute('href');
+        link.setAttribute('aria-disabled', 'true');
+        link.title = t('contact.channelsDisabled');
+      }
+    });
+  }
+
+  // a link without href is not focusable; keep the buttons reachable and just swallow the click
+  links.forEach(link => {
+    link.tabIndex = 0;
+    link.setAttribute('role', 'link');
+    link.addEventListener('click', e => {
+      if (link.getAttribute('aria-disabled') === 'true') e.preventDefault();
+    });
+  });
+
+  form.addEventListener('input', update);
+  form.addEventListener('reset', () => setTimeout(update));
+  onLangChange(update);
+  update();
+
+  return { update };
+}
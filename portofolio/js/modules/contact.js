@@ -0,0 +1,196 @@
+/** contact.js
+ * Contact form: inline validation (on blur, and live once a field has shown
+ * an error) plus the anti-abuse checks from contact-guard.js (honeypot,
+ * time-to-submit, cooldown, length limits, link spam), then delivery through a
+ * pluggable transport (contact-transport.js) picked by the form's
+ * data-transport attribute: "formspree" (default), "webhook" or "dev".
+ * The endpoint is the form's action.
+ *
+ * Messages that fail for network reasons land in the Outbox (outbox.js) and
+ * are retried later. Everything the visitor sees (loader, button text,
+ * disabled state, status line) is derived from one state:
+ *   idle -> sending -> sent | queued | failed, queued -> sending -> ...
+ * and `rejected` when one of the guards refuses the submission.
+ * Status texts are dictionary keys bound with bindText(), so they switch
+ * language along with the rest of the page.
+ */
+
+import { bindText } from '../core/i18n.js';
+import { createTransport } from '../lib/contact-transport.js';
+import { Outbox } from '../lib/outbox.js';
+import * as Guard from '../lib/contact-guard.js';
+
+const STATES = {
+  idle: { busy: false, status: null },
+  sending: { busy: true, status: null },
+  queued: { busy: false, status: 'contact.queued' },
+  sent: { busy: false, status: 'contact.sent' },
+  failed: { busy: false, status: 'contact.failed' },
+  rejected: { busy: false, status: null }    // a guard said no; the reason is the status
+};
+
+const NEAR_LIMIT = 0.9;    // counter turns amber at 90% of the limit
+
+function fieldsOf(form) {
+  const fields = {};
+  new FormData(form).forEach((value, key) => {
+    if (typeof value === 'string' && key !== Guard.HONEYPOT) fields[key] = value.trim();
+  });
+  return fields;
+}
+
+function reasonKey(reason) {
+  return 'contact.reasons.' + reason;
+}
+
+export function init(section) {
+  const form = section.querySelector('#contactForm');
+  if (!form) return;
+  const status = form.querySelector('#form-status');
+  const loader = form.querySelector('.loader');
+  const btnText = form.querySelector('.btn-text');
+  const submitBtn = form.querySelector('[type="submit"]');
+
+  let state = 'idle';
+
+  /** the single place that touches the form's visual state */
+  function setState(name, statusKey, params) {
+    const def = STATES[name];
+    state = name;
+    form.setAttribute('data-state', name);
+    form.setAttribute('aria-busy', String(def.busy));
+    if (submitBtn) submitBtn.disabled = def.busy;
+    if (loader) loader.style.display = def.busy ? 'inline-block' : 'none';
+    bindText(btnText, def.busy ? 'contact.sending' : 'contact.send');
+    bindText(status, statusKey || def.status, params);
+  }
+
+  let transport = null;
+  try {
+    transport = createTransport(form.getAttribute('data-transport') || 'formspree', {
+      endpoint: form.getAttribute('action')
+    });
+  } catch (err) {
+    console.error('contact.js: contact form is not configured', err);
+  }
+
+  const outbox = transport && new Outbox(transport);
+  if (outbox) {
+    // queued messages report back even if they were written on an earlier visit
+    outbox.on('sending', () => {
+      if (state === 'queued') setState('sending');
+    });
+    outbox.on('sent', () => setState('sent', 'contact.sentLater'));
+    outbox.on('retry', () => setState('queued'));
+    outbox.on('failed', () => setState('failed'));
+    if (outbox.size) {
+      setState('queued');
+      outbox.flush();
+    }
+  }
+
+  /* ---------- fields ---------- */
+
+  const honeypot = form.elements[Guard.HONEYPOT];
+  const inputs = [...form.querySelectorAll('input[name], textarea[name]')]
+    .filter(input => input !== honeypot);
+  const counter = form.querySelector('.char-count');
+  const messageInput = form.elements.message;
+  let startedAt = Date.now();
+
+  inputs.forEach(input => {
+    const limits = Guard.LIMITS[input.name];
+    if (limits && limits.max) input.maxLength = limits.max;
+  });
+
+  function validateField(input) {
+    const problem = Guard.checkField(input.name, input.value, input.required);
+    const msg = input.closest('.form-group').querySelector('.error-msg');
+    if (problem) bindText(msg, reasonKey(problem.reason), problem.params);
+    else bindText(msg, null);
+    input.setAttribute('aria-invalid', String(!!problem));
+    return !problem;
+  }
+
+  function validate() {
+    // every field, so all errors show at once; focus the first bad one
+    const bad = inputs.filter(input => !validateField(input));
+    if (bad.length) bad[0].focus();
+    return !bad.length;
+  }
+
+  function updateCounter() {
+    if (!counter || !messageInput) return;
+    const max = Guard.LIMITS.message.max;
+    const count = messageInput.value.length;
+    bindText(counter, 'contact.counter', { count, max });
+    counter.classList.toggle('near-limit', count >= max * NEAR_LIMIT && count < max);
+    counter.classList.toggle('over-limit', count >= max);
+  }
+
+  inputs.forEach(input => {
+    input.addEventListener('blur', () => {
+      if (input.value.trim() || input.getAttribute('aria-invalid') === 'true') validateField(input);
+    });
+    // once an error shows, clear it as soon as the value is fixed
+    input.addEventListener('input', () => {
+      if (input.getAttribute('aria-invalid') === 'true') validateField(input);
+    });
+  });
+  if (messageInput) messageInput.addEventListener('input', updateCounter);
+  updateCounter();
+
+  /* ---------- submit ---------- */
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    if (state === 'sending' || !validate()) return;
+
+    const blocked = Guard.checkSubmission({
+      honeypot: honeypot && honeypot.value,
+      startedAt
+    });
+    if (blocked) {
+      setState('rejected', reasonKey(blocked.reason), blocked.params);
+      return;
+    }
+    if (!transport) {
+      setState('failed');
+      return;
+    }
+
+    const fields = fieldsOf(form);
+    if (!navigator.onLine) {
+      outbox.add(fields);
+      done('queued');
+      return;
+    }
+
+    setState('sending');
+    transport.send(fields).then(
+      () => done('sent'),
+      err => {
+        if (err.retryable) {
+          outbox.add(fields, err);
+          done('queued');
+        } else {
+          console.error('contact.js: message rejected', err);
+          setState('failed');
+        }
+      }
+    );
+  });
+
+  // the message is on its way (or safely queued): start over
+  function done(next) {
+    Guard.markSent();
+    form.reset();
+    inputs.forEach(input => input.removeAttribute('aria-invalid'));
+    updateCounter();
+    startedAt = Date.now();
+    setState(next);
+  }
+
+  if (state === 'idle') setState('idle');
+  return { outbox, transport, get state() { return state; } };
+}
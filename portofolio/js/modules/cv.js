@@ -0,0 +1,197 @@
+/** cv.js
+ * Printable CV built from data/resume.json: one plain column with profile,
+ * experience, education, skills (with levels) and selected projects.
+ *
+ * "Download CV" ([data-action="print-cv"]) switches the page into CV mode
+ * (html.cv-mode: navbar, particles, sections and animations hidden), opens
+ * the browser's print dialog - "Save as PDF" there gives the file - and
+ * switches back afterwards. Printing the page any other way (Ctrl+P) prints
+ * the CV too. home.html?print=cv opens the CV view directly and keeps it
+ * on screen, with its own print / back buttons.
+ *
+ * Projects marked "featured": true are the selected ones; without any mark
+ * the first MAX_PROJECTS are used.
+ */
+
+import { getLang, localizedField, onLangChange, t } from '../core/i18n.js';
+import { loadResume } from '../core/data.js';
+import { html, setHTML } from '../lib/template.js';
+import * as Career from '../lib/career.js';
+import { regionName } from '../lib/views.js';
+
+const PRINT_PARAM = 'print';
+const PRINT_VALUE = 'cv';
+const MAX_PROJECTS = 3;
+
+let resume = null;
+let sheet = null;
+let pinned = false;            // opened through ?print=cv: stays until "Back"
+
+function durationLabel(unit, count) {
+  return t('experience.duration.' + unit, { count });
+}
+
+function period(entry, openLabel) {
+  const lang = getLang();
+  const start = Career.formatDate(entry.startDate, lang);
+  const end = entry.endDate ? Career.formatDate(entry.endDate, lang) : t(openLabel);
+  return start ? `${start} - ${end}` : end;
+}
+
+// nothing at all for an empty section (no body or an empty list)
+function section(titleKey, body) {
+  if (!body || (Array.isArray(body) && !body.length)) return null;
+  return html`<section class="cv-section"><h2>${t(titleKey)}</h2>${body}</section>`;
+}
+
+function headerHTML(basics) {
+  const location = basics.location || {};
+  const place = [location.city, localizedField(location, 'region'), regionName(location.countryCode, getLang())].filter(Boolean).join(', ');
+  const contacts = [basics.email, basics.phone, basics.url, place]
+    .filter(Boolean)
+    .map(item => html`<li>${item}</li>`)
+    .concat((basics.profiles || []).filter(p => p.url).map(p => html`<li>${p.network}: ${p.url}</li>`));
+  return html`
+    <header class="cv-header">
+      <h1>${basics.name || ''}</h1>
+      <p class="cv-label">${basics.label || ''}</p>
+      <ul class="cv-contacts">${contacts}</ul>
+    </header>`;
+}
+
+function workHTML(work) {
+  return Career.sortByDate(work).map(job => {
+    const duration = Career.formatDuration(Career.monthsBetween(job.startDate, job.endDate), durationLabel);
+    const skills = Career.skillsOf(job);
+    return html`
+      <article class="cv-item">
+        <h3>${localizedField(job, 'position') || ''} <span>· ${localizedField(job, 'name') || ''}</span></h3>
+        <p class="cv-meta">${period(job, 'experience.present')}${duration ? ` (${duration})` : ''}</p>
+        <p>${localizedField(job, 'summary') || ''}</p>
+        ${skills.length > 0 && html`<p class="cv-meta">${skills.join(', ')}</p>`}
+      </article>`;
+  });
+}
+
+function educationHTML(education) {
+  return education.map(entry => {
+    const when = entry.status === 'planned' ? t('education.soon') : period(entry, 'education.now');
+    const score = entry.score ? ` · ${t('education.gpa')} ${entry.score}` : '';
+    return html`
+      <article class="cv-item">
+        <h3>${localizedField(entry, 'institution') || ''}</h3>
+        <p class="cv-meta">${localizedField(entry, 'area') || ''} · ${when}${score}</p>
+      </article>`;
+  });
+}
+
+function skillsHTML(skills) {
+  if (!skills.length) return null;
+  return html`<ul class="cv-skills">${skills.map(skill => {
+    const level = skill.level ? t('cv.levels.' + String(skill.level).toLowerCase()) : '';
+    const pct = Number.isFinite(Number(skill.percent)) ? ` (${Number(skill.percent)}%)` : '';
+    return html`<li><strong>${skill.name}</strong>${level ? ' - ' + level : ''}${pct}</li>`;
+  })}</ul>`;
+}
+
+function projectsHTML(projects) {
+  const featured = projects.filter(p => p.featured);
+  return (featured.length ? featured : projects.slice(0, MAX_PROJECTS)).map(project => html`
+    <article class="cv-item">
+      <h3>${localizedField(project, 'name') || ''}</h3>
+      <p>${localizedField(project, 'description') || ''}</p>
+      <p class="cv-meta">${(project.keywords || []).join(', ')}${project.url ? ' · ' + project.url : ''}</p>
+    </article>`);
+}
+
+function render() {
+  if (!sheet || !resume) return;
+  const list = key => (Array.isArray(resume[key]) ? resume[key] : []);
+  const basics = resume.basics || {};
+  const summary = localizedField(basics, 'summary');
+  setHTML(sheet, html`
+    <div class="cv-toolbar">
+      <button type="button" class="download-btn" data-cv="print">${t('cv.print')}</button>
+      <button type="button" class="download-btn" data-cv="close">${t('cv.back')}</button>
+    </div>
+    ${headerHTML(basics)}
+    ${section('cv.profile', summary && html`<p>${summary}</p>`)}
+    ${section('experience.title', workHTML(list('work')))}
+    ${section('education.title', educationHTML(list('education')))}
+    ${section('cv.skills', skillsHTML(list('skills')))}
+    ${section('cv.projects', projectsHTML(list('projects')))}`);
+}
+
+function show() {
+  render();
+  sheet.hidden = false;
+  document.documentElement.classList.add('cv-mode');
+}
+
+function hide() {
+  sheet.hidden = true;
+  document.documentElement.classList.remove('cv-mode');
+}
+
+function printParam() {
+  return new URLSearchParams(location.search).get(PRINT_PARAM) === PRINT_VALUE;
+}
+
+/** show the CV and open the print dialog; `pin` keeps the view up afterwards */
+function openCV(pin) {
+  return loadResume().then(data => {
+    resume = data;
+    pinned = pinned || !!pin;
+    show();
+    window.print();
+  });
+}
+
+function closeCV() {
+  pinned = false;
+  hide();
+  if (printParam()) {
+    const url = new URL(location.href);
+    url.searchParams.delete(PRINT_PARAM);
+    history.replaceState(history.state, '', url);
+  }
+}
+
+export function init() {
+  sheet = document.createElement('div');
+  sheet.id = 'cvSheet';
+  sheet.className = 'cv-sheet';
+  sheet.hidden = true;
+  document.body.appendChild(sheet);
+
+  document.addEventListener('click', e => {
+    const trigger = e.target.closest('[data-action="print-cv"]');
+    // modified clicks keep the link's own behaviour (?print=cv in a new tab)
+    if (trigger && !(e.button || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey)) {
+      e.preventDefault();
+      openCV().catch(err => console.error('cv.js: could not build the CV', err));
+      return;
+    }
+    const button = e.target.closest('[data-cv]');
+    if (!button) return;
+    if (button.dataset.cv === 'print') window.print();
+    else closeCV();
+  });
+
+  // Ctrl+P / browser menu: print the CV rather than the animated page
+  window.addEventListener('beforeprint', () => {
+    if (resume) show();
+  });
+  window.addEventListener('afterprint', () => {
+    if (!pinned) hide();
+  });
+  onLangChange(render);
+
+  return loadResume()
+    .then(data => {
+      resume = data;
+      if (printParam()) return openCV(true);
+    })
+    .catch(err => console.error('cv.js: could not load the resume', err))
+    .then(() => ({ openCV, closeCV }));
+}
@@ -0,0 +1,30 @@
+/** education.js
+ * Education timeline rendered from resume.education (markup in
+ * lib/views.js). Entries without an end date read "Now"; custom
+ * `"status": "planned"` entries read "Coming Soon".
+ */
+
+import { onLangChange, viewContext } from '../core/i18n.js';
+import { loadResume } from '../core/data.js';
+import { hydrates } from '../core/prerender.js';
+import { educationHTML } from '../lib/views.js';
+import { setHTML } from '../lib/template.js';
+
+export function init(section) {
+  const timeline = section.querySelector('.timeline');
+  if (!timeline) return;
+  let entries = [];
+
+  function render() {
+    setHTML(timeline, educationHTML(entries, viewContext()));
+  }
+
+  onLangChange(render);
+
+  return loadResume()
+    .then(resume => {
+      entries = Array.isArray(resume.education) ? resume.education : [];
+      if (!hydrates(timeline)) render();
+    })
+    .catch(err => console.error('education.js: could not load the resume', err));
+}
@@ -0,0 +1,121 @@
+/** experience.js
+ * Career timeline rendered from resume.work (markup in lib/views.js),
+ * newest role first. Entries alternate sides on their own (data-side,
+ * re-assigned after filtering) and stack into one column on small screens
+ * (CSS). Pre-rendered entries are kept and only wired up.
+ *
+ * Each flip card shows the role, period and duration on the front and the
+ * resume "keywords" plus the custom "skills" bars ({ name, percent }) on the
+ * back. Cards flip on hover, click/tap and Enter/Space (they are toggle
+ * buttons: aria-pressed says which face a click left up); the bars fill once
+ * their entry scrolls into view or the card is flipped.
+ *
+ * The skill chips above the timeline (#careerFilter) show only the roles
+ * that used that skill.
+ */
+
+import { onLangChange, viewContext } from '../core/i18n.js';
+import { loadResume } from '../core/data.js';
+import { hydrates } from '../core/prerender.js';
+import * as Career from '../lib/career.js';
+import { careerFilterHTML, careerHTML } from '../lib/views.js';
+import { setHTML } from '../lib/template.js';
+
+// helper: set data-animated pada semua progress bar di dalam container
+function animateBarsIn(container) {
+  container.querySelectorAll('.skill-progress-bar').forEach(bar => {
+    bar.setAttribute('data-animated', '1');
+  });
+}
+
+export function init(section) {
+  const journey = section.querySelector('.career-journey');
+  if (!journey) return;
+  const filterBar = section.querySelector('#careerFilter');
+  let jobs = [];
+  let skill = null;            // active filter, null = all roles
+  const seen = new Set();      // indexes whose bars already animated
+
+  const observer = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries, obs) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          animateBarsIn(entry.target);
+          seen.add(entry.target.dataset.index);
+          // animasi cukup 1x per entry
+          obs.unobserve(entry.target);
+        }
+      });
+    }, { threshold: 0.2 })
+    : null;
+
+  function renderFilter() {
+    if (!filterBar) return;
+    const skills = Career.allSkills(jobs);
+    setHTML(filterBar, careerFilterHTML(skills, skill, viewContext()));
+    filterBar.hidden = skills.length < 2;
+  }
+
+  // hide roles without the active skill and alternate sides over the rest
+  function applyFilter() {
+    let side = 0;
+    journey.querySelectorAll('.career-entry').forEach(el => {
+      const match = !skill || Career.hasSkill(jobs[el.dataset.index], skill);
+      el.hidden = !match;
+      if (match) el.dataset.side = side++ % 2 ? 'right' : 'left';
+    });
+  }
+
+  // `keepMarkup`: the entries are pre-rendered, only observe them
+  function render(keepMarkup) {
+    if (observer) observer.disconnect();
+    if (!keepMarkup) setHTML(journey, careerHTML(jobs, viewContext()));
+    journey.querySelectorAll('.career-entry').forEach(el => {
+      // re-rendered (language change): keep bars that were already filled
+      if (!observer || seen.has(el.dataset.index)) animateBarsIn(el);
+      else observer.observe(el);
+    });
+    if (!keepMarkup || !hydrates(filterBar)) renderFilter();
+    applyFilter();
+  }
+
+  function setSkill(next) {
+    skill = next || null;
+    renderFilter();
+    applyFilter();
+  }
+
+  function flip(card) {
+    const flipped = card.classList.toggle('is-flipped');
+    card.setAttribute('aria-pressed', String(flipped));
+    animateBarsIn(card);
+  }
+
+  journey.addEventListener('click', e => {
+    const card = e.target.closest('.career-card');
+    if (card) flip(card);
+  });
+  journey.addEventListener('keydown', e => {
+    const card = e.target.closest('.career-card');
+    if (!card || e.target !== card || (e.key !== 'Enter' && e.key !== ' ')) return;
+    e.preventDefault();        // Space would scroll the page
+    flip(card);
+  });
+
+  if (filterBar) {
+    filterBar.addEventListener('click', e => {
+      const btn = e.target.closest('.tag-btn');
+      if (btn) setSkill(btn.dataset.skill === skill ? null : btn.dataset.skill);
+    });
+  }
+
+  onLangChange(() => render());
+
+  return loadResume()
+    .then(resume => {
+      jobs = Career.sortByDate(Array.isArray(resume.work) ? resume.work : []);
+      render(hydrates(journey));
+    })
+    .catch(err => console.error('experience.js: could not load the resume', err))
+    .then(() => ({ setSkill, get skill() { return skill; } }));
+}
@@ -0,0 +1,101 @@
+/** hero.js
+ * Hero section: name, tagline, social links and the Typed.js role line come
+ * from resume.basics (data/resume.json); the ScrollReveal entrance of the
+ * photo / intro columns is set up straight away. Both libraries come from
+ * the <script> tags (vendor/).
+ * With reduced motion the first role is shown as plain text and the columns
+ * are simply visible; both come back when effects are switched on again.
+ * Switching language refills the text and restarts the role line; a
+ * pre-rendered hero keeps its text and only gets the role line going.
+ */
+
+import { getMotion, onMotionChange } from '../core/motion.js';
+import { localizedField, onLangChange, viewContext } from '../core/i18n.js';
+import { loadResume } from '../core/data.js';
+import { hydrates } from '../core/prerender.js';
+import { heroRoles, photoURL, profilesHTML } from '../lib/views.js';
+import { setHTML } from '../lib/template.js';
+
+// resume.basics, empty until data/resume.json has loaded
+let basics = {};
+
+function roles() {
+  return heroRoles(basics, viewContext());
+}
+
+function createTyped() {
+  return new window.Typed('#typed', {
+    strings: roles(),
+    typeSpeed: 60,
+    backSpeed: 30,
+    loop: true
+  });
+}
+
+function createReveal() {
+  const sr = window.ScrollReveal({
+    reset: true,
+    distance: '60px',
+    duration: 1200,
+    delay: 200
+  });
+  sr.reveal('#reveal-left', { origin: 'left' });
+  sr.reveal('#reveal-right', { origin: 'right' });
+  return sr;
+}
+
+export function init(hero) {
+  const typedEl = hero.querySelector('#typed');
+  let typed = null;
+  let sr = null;
+
+  function fill() {
+    const name = hero.querySelector('.name');
+    const tagline = hero.querySelector('.description');
+    const socials = hero.querySelector('.social-icons');
+    const photo = hero.querySelector('.profile-img');
+    if (name) name.textContent = basics.name || '';
+    if (tagline) tagline.textContent = localizedField(basics, 'tagline') || '';
+    if (socials) setHTML(socials, profilesHTML(basics));
+    if (photo && photoURL(basics)) {
+      photo.src = photoURL(basics);
+      photo.alt = basics.name || '';
+    }
+  }
+
+  function apply({ reduced }) {
+    if (reduced) {
+      if (typed) typed.destroy();
+      if (sr) sr.destroy();     // also removes the inline hidden/transform styles
+      typed = sr = null;
+      if (typedEl) typedEl.textContent = roles()[0] || '';
+      return;
+    }
+    if (!typed && window.Typed && typedEl && roles().length) {
+      typedEl.textContent = '';
+      typed = createTyped();
+    }
+    if (!sr && window.ScrollReveal) sr = createReveal();
+  }
+
+  function refresh(keepMarkup) {
+    if (!keepMarkup) fill();
+    if (typed) typed.destroy();
+    typed = null;
+    apply(getMotion());
+  }
+
+  onMotionChange(apply);
+  onLangChange(() => refresh());
+  apply(getMotion());
+
+  return loadResume()
+    .then(resume => {
+      basics = resume.basics || {};
+      refresh(hydrates(hero));
+    })
+    .catch(err => console.error('hero.js: could not load the resume', err))
+    .then(() => ({
+      get typed() { return typed; }
+    }));
+}
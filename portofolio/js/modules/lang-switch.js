@@ -0,0 +1,25 @@
+/** lang-switch.js
+ * Navbar EN / ID switch. The choice is saved by i18n.js and wins over the
+ * browser language on later visits.
+ */
+
+import { getLang, onLangChange, setLang } from '../core/i18n.js';
+
+export function init(group) {
+  const buttons = group.querySelectorAll('[data-lang]');
+
+  function render(lang) {
+    buttons.forEach(btn => {
+      const on = btn.getAttribute('data-lang') === lang;
+      btn.classList.toggle('active', on);
+      btn.setAttribute('aria-pressed', String(on));
+    });
+  }
+
+  group.addEventListener('click', e => {
+    const btn = e.target.closest('[data-lang]');
+    if (btn) setLang(btn.getAttribute('data-lang'));
+  });
+  onLangChange(render);
+  render(getLang());
+}
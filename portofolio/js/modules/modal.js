@@ -0,0 +1,230 @@
+/** modal.js
+ * Project detail modal. Driven by Dialog (dialog.js), shows each project's
+ * `media` list through Gallery (gallery.js).
+ * Each project's `id` doubles as its URL slug: ?project=<id> opens the modal
+ * on load, and opening/closing it pushes/pops browser history entries.
+ * Pre-rendered project pages (<body data-project="<id>">) open it on load
+ * too.
+ * Prev/next step through the projects the grid currently shows.
+ * Tech badges close the modal and show the grid filtered by that tech.
+ * Translated fields are resolved with localized() each time it is filled.
+ * Demo / source links only show with a URL that passes safeURL().
+ */
+
+import { Dialog, announce } from '../lib/dialog.js';
+import { Gallery } from '../lib/gallery.js';
+import { techBadgesHTML } from '../lib/views.js';
+import { LINK_SCHEMES, safeURL, setHTML } from '../lib/template.js';
+import { load } from '../core/bootstrap.js';
+import { loadProjects } from '../core/data.js';
+import { localized, onLangChange, t, viewContext } from '../core/i18n.js';
+
+const PARAM = 'project';     // query parameter holding the open project's slug
+
+let dialog = null;
+let gallery = null;
+let prevBtn = null;
+let nextBtn = null;
+let positionEl = null;
+let baseTitle = '';
+
+let catalogue = [];   // every project, in file order
+let visible = null;   // what the grid currently matches (set by projects.js)
+let current = null;   // project shown in the modal
+let pushed = false;   // did we add the history entry for the open modal?
+let afterClose = null;  // runs once the modal is really gone (popstate may come later)
+
+/* ---------- deep links ---------- */
+
+function slugFromURL() {
+  return new URLSearchParams(location.search).get(PARAM);
+}
+
+function urlFor(project) {
+  const url = new URL(location.href);
+  if (project) url.searchParams.set(PARAM, project.id);
+  else url.searchParams.delete(PARAM);
+  return url.pathname + url.search + url.hash;
+}
+
+/* ---------- rendering ---------- */
+
+// a deep-linked project hidden by the filters falls back to the whole catalogue
+function siblings() {
+  return visible && current && visible.includes(current) ? visible : catalogue;
+}
+
+function localizeMedia(item) {
+  if (!item || typeof item !== 'object') return item;
+  return Object.assign({}, item, { alt: localized(item.alt), caption: localized(item.caption) });
+}
+
+// an external link from the data, hidden when there is none (or none safe)
+function setLink(id, url) {
+  const link = document.getElementById(id);
+  const href = safeURL(url, LINK_SCHEMES);
+  if (href) link.href = href;
+  else link.removeAttribute('href');
+  link.hidden = !href;
+}
+
+function fill(project) {
+  const title = localized(project.title);
+  document.getElementById('modalTitle').textContent = title;
+  document.getElementById('modalClient').textContent = localized(project.client) || '';
+  document.getElementById('modalDesc').textContent = localized(project.description) || '';
+  // projects without a media list still show their card image
+  const media = project.media && project.media.length ? project.media.map(localizeMedia) : [project.image];
+  gallery.setMedia(media, title);
+  setLink('modalDemo', project.demo);
+  setLink('modalSource', project.source);
+  setHTML(document.getElementById('modalTech'), techBadgesHTML(project.tech, viewContext()));
+  document.title = `${title} | ${baseTitle}`;
+
+  const list = siblings();
+  const index = list.indexOf(project);
+  const single = list.length < 2;
+  prevBtn.hidden = single;
+  nextBtn.hidden = single;
+  positionEl.textContent = index >= 0 && !single ? `${index + 1} / ${list.length}` : '';
+}
+
+/**
+ * Show a project. `mode` says what happens to the history:
+ * 'push' (opened from the page), 'replace' (stepping prev/next) or
+ * 'none' (already reflected in the URL: page load, popstate).
+ * `opener` gets focus back when the modal closes.
+ */
+function show(project, mode, opener) {
+  if (!dialog) return;
+  current = project;
+  fill(project);
+  if (dialog.isOpen) announce(localized(project.title));
+  else dialog.open(opener);
+
+  if (mode === 'push') {
+    history.pushState({ project: project.id }, '', urlFor(project));
+    pushed = true;
+  } else if (mode === 'replace') {
+    history.replaceState({ project: project.id }, '', urlFor(project));
+  }
+}
+
+function hide() {
+  if (!dialog) return;
+  dialog.close();
+  current = null;
+  document.title = baseTitle;
+}
+
+function step(offset) {
+  const list = siblings();
+  if (!current || list.length < 2) return;
+  const index = list.indexOf(current);
+  show(list[(index + offset + list.length) % list.length], 'replace');
+}
+
+// sync the modal with whatever the URL says (load, Back/Forward);
+// `pageSlug` is the project of a pre-rendered detail page, used on load only
+function syncFromURL(pageSlug) {
+  const slug = slugFromURL() || pageSlug;
+  const project = slug && catalogue.find(p => p.id === slug);
+  if (project) {
+    show(project, 'none');
+  } else {
+    if (slug) {
+      console.warn(`modal.js: no project with slug "${slug}"`);
+      history.replaceState(null, '', urlFor(null));
+    }
+    hide();
+  }
+}
+
+/* ---------- public API ---------- */
+
+/** open a project from the page (adds a history entry) */
+export function openProject(project, opener) {
+  show(project, 'push', opener);
+}
+
+/** open the project with slug `id`; false when there is no such project */
+export function openProjectById(id, opener) {
+  const project = catalogue.find(p => p.id === id);
+  if (project) openProject(project, opener);
+  return !!project;
+}
+
+export function closeProject() {
+  if (!current) return;
+  if (pushed) {
+    // let popstate do the hiding so Back and the close button agree
+    history.back();
+  } else {
+    history.replaceState(null, '', urlFor(null));
+    hide();
+  }
+}
+
+/** the list prev/next walks through; projects.js keeps it in sync with the grid */
+export function setVisibleProjects(list) {
+  visible = list;
+}
+
+export function init(modal) {
+  // pre-rendered project pages (tools/prerender.mjs) say which project they show
+  const pageSlug = document.body.getAttribute('data-project');
+  // ... and are titled like an open modal: "<project> | <site>"
+  baseTitle = pageSlug ? document.title.split(' | ').pop() : document.title;
+  prevBtn = modal.querySelector('.modal-prev');
+  nextBtn = modal.querySelector('.modal-next');
+  positionEl = modal.querySelector('#modalPosition');
+  gallery = new Gallery(modal.querySelector('#modalGallery'), { t });
+  dialog = new Dialog(modal, {
+    labelledBy: 'modalTitle',
+    describedBy: 'modalDesc',
+    // Escape / backdrop / close button all go through the history
+    onRequestClose: () => closeProject(),
+    onClose: () => {
+      const next = afterClose;
+      afterClose = null;
+      if (next) next();
+    }
+  });
+
+  modal.querySelector('#modalTech').addEventListener('click', e => {
+    const badge = e.target.closest('[data-tech]');
+    // modified clicks: the badge is a plain link to #portfolio
+    if (!badge || e.button || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    afterClose = () => load('projects').then(grid => grid && grid.showTech(badge.dataset.tech));
+    closeProject();
+  });
+
+  prevBtn.addEventListener('click', () => step(-1));
+  nextBtn.addEventListener('click', () => step(1));
+
+  document.addEventListener('keydown', e => {
+    // leave the keys alone while the lightbox (or another overlay) is on top
+    if (!current || e.defaultPrevented || Dialog.topmost() !== dialog) return;
+    if (e.key === 'ArrowLeft') step(-1);
+    if (e.key === 'ArrowRight') step(1);
+  });
+
+  onLangChange(() => {
+    gallery.relabel();
+    if (current) fill(current);
+  });
+
+  window.addEventListener('popstate', () => {
+    pushed = false;
+    syncFromURL();
+  });
+
+  return loadProjects()
+    .then(list => {
+      catalogue = list;
+      syncFromURL(pageSlug);
+    })
+    .catch(err => console.error('modal.js: could not load projects for deep links', err))
+    .then(() => ({ openProject, openProjectById, closeProject }));
+}
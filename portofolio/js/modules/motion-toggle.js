@@ -0,0 +1,17 @@
+/** motion-toggle.js
+ * Navbar "reduce effects" switch. The choice is stored by the motion
+ * governor, so it sticks across visits and overrides the OS setting.
+ */
+
+import { getMotion, onMotionChange, setReduceEffects } from '../core/motion.js';
+
+export function init(button) {
+  function render({ reduced }) {
+    button.setAttribute('aria-pressed', String(reduced));
+    button.classList.toggle('active', reduced);
+  }
+
+  button.addEventListener('click', () => setReduceEffects(!getMotion().reduced));
+  onMotionChange(render);
+  render(getMotion());
+}
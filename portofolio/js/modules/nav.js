@@ -0,0 +1,25 @@
+/** nav.js
+ * Navbar: hamburger toggle; the menu closes again once a link in it is
+ * followed. Active-link highlighting and in-page scrolling live in
+ * scroll-spy.js.
+ */
+
+export function init(navbar) {
+  const links = document.getElementById('navLinks');
+  const hamburger = navbar.querySelector('.hamburger');
+
+  function toggleMenu() {
+    links.classList.toggle('show');
+  }
+
+  if (hamburger) hamburger.addEventListener('click', toggleMenu);
+
+  // close hamburger on mobile
+  if (links) {
+    links.addEventListener('click', e => {
+      if (e.target.closest('a[href]')) links.classList.remove('show');
+    });
+  }
+
+  return { toggleMenu };
+}
@@ -0,0 +1,116 @@
+/** particles.js
+ * Background particle networks. The fixed #particles canvas and every
+ * <canvas data-particles> get their own ParticleSystem; the attribute may
+ * hold JSON options, e.g. data-particles='{"baseCount":30}'.
+ * Add ?particles-bench to the URL to log frame times per particle count.
+ *
+ * The motion governor decides how much runs: reduced motion leaves a still
+ * frame, low FPS thins the particles out and shortens the connections, and
+ * canvases outside the viewport are paused. Colours follow the theme
+ * unless the canvas sets its own `color` / `lineAlpha`.
+ */
+
+import { ParticleSystem } from '../lib/particle-system.js';
+import { getMotion, onMotionChange, watchFps, whenVisible } from '../core/motion.js';
+import { onThemeChange, particleColors } from '../core/theme.js';
+
+function optionsFrom(canvas) {
+  const raw = canvas.getAttribute('data-particles');
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn('particles.js: invalid data-particles JSON on', canvas, err);
+    return {};
+  }
+}
+
+export function init(background) {
+  const canvases = new Set(document.querySelectorAll('canvas[data-particles]'));
+  canvases.add(background);
+  const entries = [...canvases].map(canvas => {
+    const own = optionsFrom(canvas);
+    const system = new ParticleSystem(canvas, Object.assign(particleColors(), own, { autoStart: false }));
+    // resizing clears the canvas, so repaint the still frame
+    system.on('resize', () => {
+      if (!system.running && getMotion().reduced) system.render();
+    });
+    return {
+      system,
+      visible: false,
+      own,
+      // quality levels scale from the canvas' own settings
+      baseCount: system.options.baseCount,
+      connectDistance: system.options.connectDistance
+    };
+  });
+  const systems = entries.map(entry => entry.system);
+
+  let stopWatching = null;
+  let benchmarking = false;   // ?particles-bench owns the main canvas' frames until it is done
+
+  function apply() {
+    if (benchmarking) return;
+    const { reduced, level } = getMotion();
+    entries.forEach(({ system, visible, baseCount, connectDistance }) => {
+      system.setOptions({
+        baseCount: Math.max(1, Math.round(baseCount * level.particles)),
+        connectDistance: Math.round(connectDistance * level.distance),
+        interactive: !reduced
+      });
+      if (reduced || !visible) {
+        system.stop();
+        // leave a still network behind instead of an empty canvas
+        if (reduced) system.render();
+      } else {
+        system.start();
+      }
+    });
+
+    const animating = systems.some(s => s.running);
+    if (animating && !stopWatching) {
+      stopWatching = watchFps();
+    } else if (!animating && stopWatching) {
+      stopWatching();
+      stopWatching = null;
+    }
+  }
+
+  entries.forEach(entry => {
+    whenVisible(entry.system.canvas, visible => {
+      entry.visible = visible;
+      apply();
+    });
+  });
+  onMotionChange(apply);
+  apply();
+
+  onThemeChange(() => {
+    const colors = particleColors();
+    entries.forEach(({ system, own }) => {
+      const update = {};
+      Object.keys(colors).forEach(key => {
+        if (!(key in own)) update[key] = colors[key];
+      });
+      system.setOptions(update);
+      if (!system.running && getMotion().reduced) system.render();
+    });
+  });
+
+  const main = systems.find(s => s.canvas === background);
+  if (new URLSearchParams(location.search).has('particles-bench')) {
+    // one rAF loop only, and no FPS governor reacting to the benchmark's load
+    benchmarking = true;
+    if (stopWatching) {
+      stopWatching();
+      stopWatching = null;
+    }
+    systems.forEach(system => system.stop());
+    main.benchmark().then(() => {
+      benchmarking = false;
+      apply();
+    });
+  }
+
+  return { main, systems };
+}
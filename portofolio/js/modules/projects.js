@@ -0,0 +1,218 @@
+/** projects.js
+ * Portfolio grid rendered from the "projects" of data/resume.json, paged
+ * with "Load More". The project modal reads from the same records, so adding
+ * a project only means adding one entry to the JSON file.
+ * Filtering/search goes through the query engine in project-query.js.
+ * Text fields may be translated (see data.js); the grid re-renders in place
+ * when the language changes. A pre-rendered first page is kept on load.
+ * The tech tags double as a tech cloud: each shows how many projects use
+ * it and grows with that count. showTech() (used by the modal's badges and
+ * the skill cards) filters the grid down to one technology.
+ */
+
+import * as Query from '../lib/project-query.js';
+import { appendHTML, html, setHTML } from '../lib/template.js';
+import { PROJECTS_PER_PAGE, projectCardHTML } from '../lib/views.js';
+import { loadProjects, RESUME_URL } from '../core/data.js';
+import { localized, onLangChange, t, viewContext } from '../core/i18n.js';
+import { hydrates } from '../core/prerender.js';
+import { whenReady } from '../core/bootstrap.js';
+import { openProject, setVisibleProjects } from './modal.js';
+
+const CLOUD_STEPS = 4;      // tag sizes, 1 = least used
+
+function cardHTML(p) {
+  return projectCardHTML({
+    id: p.id,
+    category: p.category,
+    image: p.image,
+    title: localized(p.title),
+    summary: localized(p.summary)
+  }, viewContext());
+}
+
+export function init(section) {
+  const grid = section.querySelector('.portfolio-grid');
+  const loadMoreBtn = section.querySelector('#loadMoreBtn');
+  const filterBtns = section.querySelectorAll('.filter-btn');
+  const searchInput = section.querySelector('#searchProject');
+  const tagBar = section.querySelector('#techTags');
+
+  let projects = [];   // every record, in file order
+  let results = [];    // records matching the current query
+  let shown = 0;       // how many of `results` are in the grid
+  const state = Query.createState();   // { category, text, tags }
+
+  let status = 'loading';   // 'loading' | 'ready' | 'failed'
+
+  function showMessage(key) {
+    setHTML(grid, html`<p class="portfolio-message">${t(key)}</p>`);
+  }
+
+  function showEmptyState() {
+    const query = state.text.trim();
+    const text = query ? t('portfolio.noMatchFor', { query }) : t('portfolio.noMatch');
+    setHTML(grid, html`
+      <div class="portfolio-empty">
+        <p>${text}</p>
+        <button type="button" class="clear-filters">${t('portfolio.clearFilters')}</button>
+      </div>`);
+  }
+
+  // usage over the whole catalogue, not the current results: the cloud is the index
+  function renderTags() {
+    if (!tagBar) return;
+    const usage = Query.tagUsage(projects);
+    const max = usage.length ? usage[0].count : 0;
+    setHTML(tagBar, html`${usage.map(({ tag, count }) => {
+      const on = state.tags.includes(tag);
+      const weight = max > 1 ? 1 + Math.round(((count - 1) / (max - 1)) * (CLOUD_STEPS - 1)) : 1;
+      const uses = t(count === 1 ? 'portfolio.techUsage.one' : 'portfolio.techUsage.other', { count });
+      return html`<button type="button" class="tag-btn${on ? ' active' : ''}" data-tag="${tag}" data-weight="${weight}" aria-pressed="${String(on)}" title="${uses}">${tag} <span class="tag-count" aria-hidden="true">${count}</span><span class="sr-only">, ${uses}</span></button>`;
+    })}`);
+  }
+
+  // live result counts in each filter button's <span class="count">
+  function updateCounts() {
+    const counts = Query.countByCategory(projects, state);
+    filterBtns.forEach(btn => {
+      const span = btn.querySelector('.count');
+      if (span) span.textContent = counts[btn.getAttribute('data-filter')] || 0;
+    });
+  }
+
+  function syncControls() {
+    filterBtns.forEach(btn => {
+      const on = btn.getAttribute('data-filter') === state.category;
+      btn.classList.toggle('active', on);
+      btn.setAttribute('aria-pressed', on);
+    });
+    if (searchInput && searchInput.value !== state.text) searchInput.value = state.text;
+    renderTags();
+  }
+
+  function updateLoadMore() {
+    if (!loadMoreBtn) return;
+    loadMoreBtn.hidden = shown >= results.length;
+  }
+
+  // append the next batch of cards
+  function renderMore() {
+    const batch = results.slice(shown, shown + PROJECTS_PER_PAGE);
+    appendHTML(grid, batch.map(cardHTML));
+    shown += batch.length;
+    updateLoadMore();
+  }
+
+  // re-run the query and start paging from the top again
+  function refresh() {
+    results = Query.run(projects, state);
+    setVisibleProjects(results);
+    updateCounts();
+    // first page pre-rendered by the build (default query, page language)
+    if (hydrates(grid)) {
+      shown = grid.querySelectorAll('.project-card').length;
+      updateLoadMore();
+      return;
+    }
+    grid.textContent = '';
+    shown = 0;
+    if (!results.length) {
+      showEmptyState();
+      updateLoadMore();
+      return;
+    }
+    renderMore();
+  }
+
+  /** merge `patch` into the query state and re-render */
+  function setQuery(patch) {
+    Object.assign(state, patch);
+    syncControls();
+    refresh();
+  }
+
+  function toggleTag(tag) {
+    const tags = state.tags.includes(tag)
+      ? state.tags.filter(t => t !== tag)
+      : state.tags.concat(tag);
+    setQuery({ tags });
+  }
+
+  function clearQuery() {
+    setQuery(Query.createState());
+  }
+
+  /** every project using `tech` (any version of it), then bring the grid into view */
+  function showTech(tech) {
+    const tag = Query.allTags(projects).find(name => Query.techKey(name) === Query.techKey(tech)) || tech;
+    setQuery(Query.createState({ tags: [tag] }));
+    return whenReady('scroll-spy').then(spy => {
+      if (spy) spy.goTo(section.id);
+    });
+  }
+
+  function find(id) {
+    return projects.find(p => p.id === id);
+  }
+
+  filterBtns.forEach(btn => {
+    btn.addEventListener('click', () => setQuery({ category: btn.getAttribute('data-filter') }));
+  });
+
+  if (searchInput) {
+    searchInput.addEventListener('input', e => {
+      state.text = e.target.value;
+      refresh();
+    });
+  }
+
+  if (tagBar) {
+    tagBar.addEventListener('click', e => {
+      const btn = e.target.closest('.tag-btn');
+      if (btn) toggleTag(btn.dataset.tag);
+    });
+  }
+
+  if (loadMoreBtn) loadMoreBtn.addEventListener('click', renderMore);
+
+  // same results and page depth, new language
+  onLangChange(() => {
+    if (status === 'loading') return;
+    if (status === 'failed') {
+      showMessage('portfolio.loadFailed');
+      return;
+    }
+    renderTags();
+    const depth = shown;
+    refresh();
+    while (shown < depth && shown < results.length) renderMore();
+  });
+
+  // cards are re-rendered on every refresh, so listen on the grid
+  grid.addEventListener('click', e => {
+    if (e.target.closest('.clear-filters')) {
+      clearQuery();
+      return;
+    }
+    const btn = e.target.closest('.view-detail');
+    if (!btn) return;
+    const project = find(btn.dataset.id);
+    if (project) openProject(project, btn);
+  });
+
+  return loadProjects()
+    .then(data => {
+      projects = data;
+      status = 'ready';
+      syncControls();
+      refresh();
+    })
+    .catch(err => {
+      console.error('projects.js: failed to load ' + RESUME_URL, err);
+      status = 'failed';
+      showMessage('portfolio.loadFailed');
+      if (loadMoreBtn) loadMoreBtn.hidden = true;
+    })
+    .then(() => ({ find, refresh, setQuery, showTech, state, get projects() { return projects; } }));
+}
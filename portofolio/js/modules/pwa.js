@@ -0,0 +1,128 @@
+/** pwa.js
+ * Installable, offline-capable site (manifest.webmanifest + sw.js). Registers
+ * the service worker once the page has loaded, then:
+ *
+ * - a new version waiting to take over shows a prompt; "Reload" tells the
+ *   worker to skip waiting and reloads when it is in control, "Later" keeps
+ *   the current version until every tab is closed
+ * - browsers that offer beforeinstallprompt get the navbar's install button
+ *   (#installBtn); the others install through their own menu
+ *
+ * Service workers need a secure context (https or localhost); anywhere
+ * else the page just works online.
+ */
+
+import { onLangChange, t } from '../core/i18n.js';
+import { announce } from '../lib/dialog.js';
+import { html, setHTML } from '../lib/template.js';
+
+const SW_URL = 'sw.js';
+const CHECK_EVERY = 60 * 60 * 1000;   // ms between update checks while the page is open
+
+function loaded() {
+  return document.readyState === 'complete'
+    ? Promise.resolve()
+    : new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+}
+
+function buildPrompt() {
+  const el = document.createElement('div');
+  el.className = 'update-prompt';
+  el.setAttribute('role', 'status');
+  el.hidden = true;
+  document.body.appendChild(el);
+  return el;
+}
+
+export function init() {
+  const installBtn = document.getElementById('installBtn');
+  const prompt = buildPrompt();
+  let installEvent = null;    // deferred beforeinstallprompt
+  let waiting = null;         // worker with the new version
+  let accepted = false;       // the visitor chose "Reload"
+
+  /* ---------- update prompt ---------- */
+
+  function renderPrompt() {
+    setHTML(prompt, html`
+      <p>${t('pwa.updateReady')}</p>
+      <button type="button" class="download-btn" data-update="reload">${t('pwa.reload')}</button>
+      <button type="button" class="update-later" data-update="later">${t('pwa.later')}</button>`);
+  }
+
+  function offerUpdate(worker) {
+    waiting = worker;
+    renderPrompt();
+    prompt.hidden = false;
+  }
+
+  prompt.addEventListener('click', e => {
+    const btn = e.target.closest('[data-update]');
+    if (!btn) return;
+    prompt.hidden = true;
+    if (btn.getAttribute('data-update') === 'reload' && waiting) {
+      accepted = true;
+      waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+  });
+
+  onLangChange(() => {
+    if (!prompt.hidden) renderPrompt();
+  });
+
+  /* ---------- install ---------- */
+
+  function setInstallable(event) {
+    installEvent = event;
+    if (installBtn) installBtn.hidden = !event;
+  }
+
+  /** show the browser's install dialog; resolves to its outcome, or null when unavailable */
+  function install() {
+    if (!installEvent) return Promise.resolve(null);
+    const event = installEvent;
+    setInstallable(null);     // a prompt event can only be used once
+    event.prompt();
+    return event.userChoice.then(choice => choice.outcome);
+  }
+
+  window.addEventListener('beforeinstallprompt', e => {
+    e.preventDefault();
+    setInstallable(e);
+  });
+  window.addEventListener('appinstalled', () => {
+    setInstallable(null);
+    announce(t('pwa.installed'));
+  });
+  if (installBtn) installBtn.addEventListener('click', install);
+
+  const api = { install, get canInstall() { return !!installEvent; } };
+
+  /* ---------- service worker ---------- */
+
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return api;
+  const sw = navigator.serviceWorker;
+  const hadController = !!sw.controller;
+
+  sw.addEventListener('controllerchange', () => {
+    if (accepted) location.reload();
+  });
+
+  return loaded()
+    .then(() => sw.register(SW_URL))
+    .then(reg => {
+      if (reg.waiting && hadController) offerUpdate(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state !== 'installed') return;
+          // no controller yet: this is the first install, not an update
+          if (sw.controller) offerUpdate(worker);
+          else announce(t('pwa.offlineReady'));
+        });
+      });
+      setInterval(() => reg.update().catch(() => {}), CHECK_EVERY);
+    })
+    .catch(err => console.warn('pwa.js: service worker not registered', err))
+    .then(() => api);
+}
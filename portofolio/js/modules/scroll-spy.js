@@ -0,0 +1,170 @@
+/** scroll-spy.js
+ * Scroll-spy for the navbar, built on IntersectionObserver instead of
+ * reading every section's offsetTop on each scroll event:
+ *
+ * - the section crossing the line just under the navbar is the current one;
+ *   its navbar link (and the dropdown parent of a dropdown item) gets
+ *   .active + aria-current, and the URL hash follows it (replaceState, so
+ *   scrolling never piles up history entries)
+ * - a bar along the bottom of the navbar shows how far the page is read
+ * - the navbar height is measured, not hard-coded: it lands in
+ *   --nav-height, which the CSS uses as scroll-padding-top, so native hash
+ *   jumps, our smooth scroll and the spy's line all follow the real header
+ * - plain clicks on in-page links scroll smoothly (instantly with reduced
+ *   motion); modified / middle clicks keep the browser's own behaviour
+ *
+ * Sections without a link of their own (Experience) count for the closest
+ * one above that has one.
+ */
+
+import { isReduced } from '../core/motion.js';
+
+const HEIGHT_VAR = '--nav-height';
+const ACTIVE_CLASS = 'active';
+
+// the section the page opens on keeps a clean URL (no #home)
+function hashFor(id, first) {
+  const url = new URL(location.href);
+  url.hash = id === first ? '' : id;
+  return url;
+}
+
+function isPlainClick(e) {
+  return e.button === 0 && !(e.ctrlKey || e.metaKey || e.shiftKey || e.altKey);
+}
+
+export function init(navbar) {
+  const root = document.documentElement;
+  const sections = [...document.querySelectorAll('section[id]')];
+  const bar = navbar.querySelector('.reading-progress');
+  let headerHeight = 0;
+  let observer = null;
+  let current = null;
+  let syncHash = false;         // untouched until the page first scrolls: a #deep-link must survive the load
+  const crossing = new Set();   // ids of the sections on the line right now
+
+  // navbar links pointing at `id`, plus the toggle of a dropdown holding one
+  function linksFor(id) {
+    const links = [...navbar.querySelectorAll('a[href^="#"]')].filter(link => link.getAttribute('href') === '#' + id);
+    links.slice().forEach(link => {
+      const parent = link.closest('.dropdown');
+      const toggle = parent && parent.querySelector('.nav-link');
+      if (toggle && !links.includes(toggle)) links.push(toggle);
+    });
+    return links;
+  }
+
+  function setActive(id) {
+    if (id === current) return;
+    current = id;
+    // fall back to the closest section above with a link of its own
+    let index = sections.findIndex(sec => sec.id === id);
+    let links = [];
+    while (index >= 0 && !(links = linksFor(sections[index].id)).length) index--;
+    navbar.querySelectorAll('a.' + ACTIVE_CLASS).forEach(link => {
+      link.classList.remove(ACTIVE_CLASS);
+      link.removeAttribute('aria-current');
+    });
+    links.forEach(link => {
+      link.classList.add(ACTIVE_CLASS);
+      link.setAttribute('aria-current', 'location');
+    });
+
+    if (!syncHash) return;
+    const url = hashFor(id, sections[0].id);
+    if (url.href !== location.href) history.replaceState(history.state, '', url);
+  }
+
+  function pick() {
+    // the last section still short of the fold at the very bottom of the page
+    const scrolled = window.scrollY + window.innerHeight;
+    if (scrolled >= root.scrollHeight - 2) return setActive(sections[sections.length - 1].id);
+    const hit = sections.find(sec => crossing.has(sec.id));
+    if (hit) setActive(hit.id);
+  }
+
+  // a 1px line right under the navbar: whatever crosses it is being read
+  function observe() {
+    if (observer) observer.disconnect();
+    crossing.clear();
+    const below = Math.max(0, window.innerHeight - headerHeight - 1);
+    observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) crossing.add(entry.target.id);
+        else crossing.delete(entry.target.id);
+      });
+      pick();
+    }, { rootMargin: `-${headerHeight}px 0px -${below}px 0px` });
+    sections.forEach(sec => observer.observe(sec));
+  }
+
+  function measure() {
+    const height = Math.round(navbar.getBoundingClientRect().height);
+    if (height === headerHeight && observer) return;
+    headerHeight = height;
+    root.style.setProperty(HEIGHT_VAR, height + 'px');
+    if (sections.length && 'IntersectionObserver' in window) observe();
+  }
+
+  function progress() {
+    if (!bar) return;
+    const max = root.scrollHeight - window.innerHeight;
+    const value = max > 0 ? Math.min(1, Math.max(0, window.scrollY / max)) : 0;
+    bar.style.setProperty('--progress', value.toFixed(4));
+  }
+
+  let ticking = false;
+  function onScroll() {
+    syncHash = true;
+    if (ticking) return;
+    ticking = true;
+    requestAnimationFrame(() => {
+      ticking = false;
+      progress();
+      // the bottom-of-page case never crosses the line; check it here
+      if (sections.length) pick();
+    });
+  }
+
+  let resizing = false;
+  function onResize() {
+    if (resizing) return;
+    resizing = true;
+    requestAnimationFrame(() => {
+      resizing = false;
+      headerHeight = -1;        // the viewport changed: rebuild the line
+      measure();
+      progress();
+    });
+  }
+
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onResize);
+  // the navbar itself grows and shrinks (hamburger menu, wrapped links)
+  if ('ResizeObserver' in window) new ResizeObserver(() => measure()).observe(navbar);
+  measure();
+  progress();
+
+  /** scroll to the element with `id` and move focus there; false when there is none */
+  function goTo(id) {
+    const target = id && document.getElementById(id);
+    if (!target) return false;
+    // scroll-padding-top (--nav-height) keeps the heading clear of the navbar
+    target.scrollIntoView({ behavior: isReduced() ? 'auto' : 'smooth', block: 'start' });
+    if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+    if (sections.includes(target)) {
+      syncHash = true;
+      setActive(id);
+    }
+    return true;
+  }
+
+  document.addEventListener('click', e => {
+    const anchor = e.target.closest('a[href^="#"]');
+    if (!anchor || e.defaultPrevented || !isPlainClick(e)) return;
+    if (goTo(decodeURIComponent(anchor.getAttribute('href').slice(1)))) e.preventDefault();
+  });
+
+  return { goTo, get current() { return current; } };
+}
@@ -0,0 +1,191 @@
+/** skills.js
+ * Skills from resume.skills (custom fields: category, percent, icon,
+ * colors; markup in lib/views.js), grouped by category, in two views:
+ *
+ * - bars: gradient progress bars (data-skill, data-color1/2) that fill when
+ *   the card scrolls into view; the gradient is re-derived from the card's
+ *   colours whenever the theme changes
+ * - chart: an SVG radar (lib/radar.js) next to compact cards; hovering a
+ *   point highlights its card and the other way round. The numbers are also
+ *   in a data table under the chart.
+ *
+ * The switch (.skills-view) remembers the choice. Both the bars and the
+ * radar animate in on the same viewport trigger.
+ *
+ * Each card lists the projects whose tech includes the skill: the project
+ * links open the modal, "Used in n projects" filters the portfolio grid.
+ */
+
+import { onThemeChange, skillColors } from '../core/theme.js';
+import { localized, onLangChange, viewContext } from '../core/i18n.js';
+import { load, whenReady } from '../core/bootstrap.js';
+import { loadProjects, loadResume } from '../core/data.js';
+import { hydrates } from '../core/prerender.js';
+import { radarSVG } from '../lib/radar.js';
+import { orderedSkills, skillsHTML, skillsTableHTML } from '../lib/views.js';
+import { html, setHTML } from '../lib/template.js';
+
+const STORAGE_KEY = 'skills-view';
+const VIEWS = ['bars', 'chart'];
+const THRESHOLD = 0.3;            // share of a card / the chart on screen before it animates
+
+function readView() {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return VIEWS.includes(value) ? value : VIEWS[0];
+  } catch (err) {
+    return VIEWS[0];
+  }
+}
+
+function writeView(value) {
+  try {
+    localStorage.setItem(STORAGE_KEY, value);
+  } catch (err) {
+    // storage blocked: the choice lasts for this page only
+  }
+}
+
+export function init(section) {
+  const container = section.querySelector('.skills-container');
+  if (!container) return;
+  const chart = section.querySelector('.skills-chart');
+  const switcher = section.querySelector('.skills-view');
+  let skills = [];
+  let projects = [];               // { id, title, tech } for the usage lists
+  let view = readView();
+  let drawn = false;               // radar already animated in
+  const filled = new Set();        // indexes of cards whose bar already filled
+
+  function reveal(target) {
+    if (target === chart) {
+      drawn = true;
+      chart.classList.add('is-drawn');
+    } else {
+      fill(target);
+    }
+  }
+
+  // without IntersectionObserver everything is drawn straight away
+  const observer = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries, obs) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        obs.unobserve(entry.target);
+        reveal(entry.target);
+      });
+    }, { threshold: THRESHOLD })
+    : null;
+  const watch = target => (observer ? observer.observe(target) : reveal(target));
+
+  function paint() {
+    container.querySelectorAll('.skill-card').forEach(card => {
+      const span = card.querySelector('.progress-bar span');
+      const [c1, c2] = skillColors(card.getAttribute('data-color1'), card.getAttribute('data-color2'));
+      span.style.background = `linear-gradient(90deg, ${c1}, ${c2})`;
+    });
+  }
+
+  function fill(card) {
+    const span = card.querySelector('.progress-bar span');
+    span.style.width = card.getAttribute('data-skill') + '%';
+    span.style.backgroundPosition = '100% 50%';
+    card.querySelector('.progress-bar').classList.add('show');
+    filled.add(card.dataset.index);
+  }
+
+  // cards and chart for the current language; `keepCards`: pre-rendered
+  function render(keepCards) {
+    if (observer) observer.disconnect();
+    const ctx = viewContext();
+    const used = projects.map(p => ({ id: p.id, title: localized(p.title), tech: p.tech }));
+    if (!keepCards) setHTML(container, skillsHTML(skills, ctx, used));
+
+    container.querySelectorAll('.skill-card').forEach(card => {
+      // Add percentage text
+      const pct = document.createElement('div');
+      pct.classList.add('pct');
+      pct.textContent = card.getAttribute('data-skill') + '%';
+      card.querySelector('.progress-bar').appendChild(pct);
+      if (filled.has(card.dataset.index)) fill(card);
+      else watch(card);
+    });
+    paint();
+
+    const svg = radarSVG(orderedSkills(skills).map(skill => ({
+      label: skill.name,
+      value: Number(skill.percent) || 0,
+      category: skill.category
+    })));
+    if (chart) {
+      setHTML(chart, svg && html`<div class="skills-radar" aria-hidden="true">${svg}</div>${skillsTableHTML(skills, ctx)}`);
+      chart.classList.toggle('is-drawn', drawn);
+      if (svg && !drawn) watch(chart);
+    }
+    // a radar needs three skills; below that only the bars make sense
+    if (switcher) switcher.hidden = !svg;
+    setView(svg ? view : 'bars');
+  }
+
+  function setView(next) {
+    view = next;
+    section.setAttribute('data-view', view);
+    if (chart) chart.hidden = view !== 'chart';
+    if (switcher) {
+      switcher.querySelectorAll('[data-view]').forEach(btn => {
+        const on = btn.getAttribute('data-view') === view;
+        btn.classList.toggle('active', on);
+        btn.setAttribute('aria-pressed', String(on));
+      });
+    }
+  }
+
+  // chart point <-> card
+  function highlight(index) {
+    section.querySelectorAll('.is-highlighted').forEach(el => el.classList.remove('is-highlighted'));
+    if (index == null) return;
+    section.querySelectorAll(`.skill-card[data-index="${index}"], .radar-point[data-index="${index}"]`)
+      .forEach(el => el.classList.add('is-highlighted'));
+  }
+
+  function onPointer(e) {
+    const target = e.target.closest && e.target.closest('.radar-point, .skill-card');
+    highlight(target && view === 'chart' ? target.getAttribute('data-index') : null);
+  }
+  section.addEventListener('mouseover', onPointer);
+  section.addEventListener('mouseleave', () => highlight(null));
+  section.addEventListener('focusin', onPointer);
+
+  container.addEventListener('click', e => {
+    const link = e.target.closest('[data-tech], [data-project]');
+    // modified clicks keep the links' own targets (#portfolio, ?project=<id>)
+    if (!link || e.button || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    if (link.dataset.tech) {
+      load('projects').then(grid => grid && grid.showTech(link.dataset.tech));
+    } else {
+      whenReady('modal').then(modal => modal && modal.openProjectById(link.dataset.project, link));
+    }
+  });
+
+  if (switcher) {
+    switcher.addEventListener('click', e => {
+      const btn = e.target.closest('[data-view]');
+      if (!btn) return;
+      writeView(btn.getAttribute('data-view'));
+      setView(btn.getAttribute('data-view'));
+    });
+  }
+
+  onThemeChange(paint);
+  onLangChange(() => render());
+
+  return Promise.all([loadResume(), loadProjects()])
+    .then(([resume, list]) => {
+      skills = Array.isArray(resume.skills) ? resume.skills : [];
+      projects = list;
+      render(hydrates(container));
+    })
+    .catch(err => console.error('skills.js: could not load the resume', err))
+    .then(() => ({ setView, get view() { return view; } }));
+}
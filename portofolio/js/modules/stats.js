@@ -0,0 +1,71 @@
+/** stats.js
+ * Portfolio stat counters (.stat-number), built on lib/counter.js. Each
+ * number counts up once it is actually on screen - not when the page loads
+ * or the section nears - and is formatted for the current language. With
+ * reduced motion the final numbers are written straight away.
+ *
+ * A counter takes its target from data-target, or from data-source:
+ * "count:<selector>" or one of the sources registered here -
+ *
+ *   projects   projects in data/resume.json
+ *   completed  of those, the finished ones
+ *   ongoing    ... and the ones in progress (core/data.js: status
+ *              "in-progress", or a startDate without an endDate)
+ *   skills     skills in data/resume.json
+ *   roles      roles (resume.work)
+ *
+ * A source that fails falls back to data-target.
+ */
+
+import { isReduced } from '../core/motion.js';
+import { getLang, onLangChange } from '../core/i18n.js';
+import { loadProjects, loadResume } from '../core/data.js';
+import { Counter, defineSource, optionsFrom, resolveTarget } from '../lib/counter.js';
+
+const VISIBLE = 0.6;      // share of the number that must be on screen
+
+const listOf = key => loadResume().then(resume => (Array.isArray(resume[key]) ? resume[key].length : 0));
+defineSource('projects', () => loadProjects().then(list => list.length));
+defineSource('completed', () => loadProjects().then(list => list.filter(p => !p.ongoing).length));
+defineSource('ongoing', () => loadProjects().then(list => list.filter(p => p.ongoing).length));
+defineSource('skills', () => listOf('skills'));
+defineSource('roles', () => listOf('work'));
+
+function targetOf(el, fallback) {
+  const source = el.getAttribute('data-source');
+  if (!source) return Promise.resolve(fallback);
+  return resolveTarget(source).catch(err => {
+    console.warn('stats.js: using data-target instead', err);
+    return fallback;
+  });
+}
+
+function run(counter) {
+  return targetOf(counter.el, counter.options.target).then(target => {
+    if (isReduced()) counter.finish(target);
+    else counter.start(target);
+  });
+}
+
+export function init(container) {
+  const counters = [...container.querySelectorAll('.stat-number')]
+    .map(el => new Counter(el, Object.assign(optionsFrom(el), { locale: getLang })));
+  // pre-rendered final values make way for the count-up
+  counters.forEach(counter => counter.render());
+
+  onLangChange(() => counters.forEach(counter => counter.render()));
+
+  if (!('IntersectionObserver' in window)) {
+    counters.forEach(run);
+    return { counters };
+  }
+  const observer = new IntersectionObserver((entries, obs) => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      obs.unobserve(entry.target);
+      run(counters.find(counter => counter.el === entry.target));
+    });
+  }, { threshold: VISIBLE });
+  counters.forEach(counter => observer.observe(counter.el));
+  return { counters };
+}
@@ -0,0 +1,26 @@
+/** theme-toggle.js
+ * Navbar theme switch: cycles dark -> light -> high contrast. Until it is
+ * used the site follows the OS; after that the choice is remembered.
+ */
+
+import { getTheme, nextTheme, onThemeChange, setTheme } from '../core/theme.js';
+import { onLangChange, t } from '../core/i18n.js';
+
+const ICONS = { dark: 'fa-moon', light: 'fa-sun', contrast: 'fa-circle-half-stroke' };
+
+export function init(button) {
+  const icon = button.querySelector('i');
+  const label = button.querySelector('.sr-only');
+
+  function render() {
+    const { name } = getTheme();
+    if (icon) icon.className = 'fas ' + ICONS[name];
+    if (label) label.textContent = t('nav.theme', { name: t(`theme.${name}`) });
+    button.title = t('nav.switchTheme', { name: t(`theme.${nextTheme()}`) });
+  }
+
+  button.addEventListener('click', () => setTheme(nextTheme()));
+  onThemeChange(render);
+  onLangChange(render);
+  render();
+}
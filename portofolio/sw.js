@@ -0,0 +1,208 @@
+/** sw.js
+ * Service worker: keeps the site usable on a flaky or missing connection.
+ *
+ * - shell: every file the page needs to start (HTML, CSS, JS, resume data,
+ *   vendored libraries, icons) is precached on install. They are served
+ *   from the cache and refreshed in the background (stale-while-revalidate),
+ *   so an edit shows up on the next visit even without a new version. Other
+ *   same-origin files are not cached.
+ * - pages: network first (NAV_TIMEOUT at most), then the cached copy, then
+ *   offline.html. Visited pages (e.g. projects/<id>.html) are kept.
+ * - images: cache first at runtime, at most MAX_IMAGES of them and none
+ *   bigger than MAX_IMAGE_BYTES; the oldest go first.
+ * - fonts and icon CSS from the CDNs: stale-while-revalidate, MAX_CDN entries.
+ *
+ * A new sw.js (tools/prerender.mjs stamps VERSION with a hash of the site)
+ * installs next to the old one and waits: js/modules/pwa.js asks the
+ * visitor, then sends SKIP_WAITING. Every file in js/ must be listed in
+ * PRECACHE - the build checks.
+ */
+
+const VERSION = 'dev';
+const SHELL = `shell-${VERSION}`;
+const PAGES = `pages-${VERSION}`;
+const IMAGES = 'images';
+const CDN = 'cdn';
+const KEEP = [SHELL, PAGES, IMAGES, CDN];
+
+const OFFLINE = 'offline.html';
+const NAV_TIMEOUT = 4000;                 // ms before a slow page falls back to the cache
+const MAX_IMAGES = 60;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const MAX_CDN = 40;
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+const PRECACHE = [
+  'home.html',
+  'offline.html',
+  'manifest.webmanifest',
+  'css/style.css',
+  'data/resume.json',
+  'vendor/typed.js-2.0.12/typed.min.js',
+  'vendor/aos-2.3.4/aos.js',
+  'vendor/aos-2.3.4/aos.css',
+  'vendor/scrollreveal-4.0.9/scrollreveal.min.js',
+  'images/profilport.jpg',
+  'images/icons/icon-192.png',
+  'js/main.js',
+  'js/core/bootstrap.js',
+  'js/core/data.js',
+  'js/core/i18n.js',
+  'js/core/motion.js',
+  'js/core/prerender.js',
+  'js/core/theme.js',
+  'js/i18n/en.js',
+  'js/i18n/id.js',
+  'js/lib/career.js',
+  'js/lib/contact-guard.js',
+  'js/lib/contact-transport.js',
+  'js/lib/counter.js',
+  'js/lib/deep-links.js',
+  'js/lib/dialog.js',
+  'js/lib/dom.js',
+  'js/lib/fuzzy.js',
+  'js/lib/gallery.js',
+  'js/lib/outbox.js',
+  'js/lib/particle-system.js',
+  'js/lib/project-check.js',
+  'js/lib/project-query.js',
+  'js/lib/radar.js',
+  'js/lib/spatial-grid.js',
+  'js/lib/template.js',
+  'js/lib/views.js',
+  'js/modules/about.js',
+  'js/modules/animations.js',
+  'js/modules/command-palette.js',
+  'js/modules/contact-channels.js',
+  'js/modules/contact.js',
+  'js/modules/cv.js',
+  'js/modules/education.js',
+  'js/modules/experience.js',
+  'js/modules/hero.js',
+  'js/modules/lang-switch.js',
+  'js/modules/modal.js',
+  'js/modules/motion-toggle.js',
+  'js/modules/nav.js',
+  'js/modules/particles.js',
+  'js/modules/projects.js',
+  'js/modules/pwa.js',
+  'js/modules/scroll-spy.js',
+  'js/modules/skills.js',
+  'js/modules/stats.js',
+  'js/modules/theme-toggle.js'
+];
+const PRECACHED = new Set(PRECACHE.map(path => new URL(path, self.location).href));
+
+/* ---------- lifecycle ---------- */
+
+self.addEventListener('install', event => {
+  // `reload`: skip the HTTP cache so a new version really gets new files
+  event.waitUntil(caches.open(SHELL).then(cache =>
+    cache.addAll(PRECACHE.map(path => new Request(path, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names.filter(name => !KEEP.includes(name)).map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/* ---------- helpers ---------- */
+
+// drop the oldest entries (keys() is in insertion order) beyond `max`
+async function trim(cacheName, max) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)));
+}
+
+function timeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('timeout')), ms);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+}
+
+/* ---------- strategies ---------- */
+
+async function page(request) {
+  try {
+    const response = await timeout(fetch(request), NAV_TIMEOUT);
+    if (response.ok) {
+      const cache = await caches.open(PAGES);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    // ?project=<id> and #hash variants are all the same document
+    return (await caches.match(request, { ignoreSearch: true }))
+      || (await offlinePage())
+      || Response.error();
+  }
+}
+
+// offline.html keeps the URL that was asked for (so reloading retries it);
+// a <base> makes its relative links resolve from the site root, not from
+// projects/ for a pre-rendered project page
+async function offlinePage() {
+  const cached = await caches.match(OFFLINE);
+  if (!cached) return null;
+  const body = (await cached.text()).replace('<head>', `<head><base href="${new URL('./', self.location).href}">`);
+  return new Response(body, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+// serve the cached copy at once, update it for next time; `max` caps the cache
+async function staleWhileRevalidate(event, cacheName, max) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request).then(async response => {
+    // cross-origin CSS / fonts may come back opaque: still worth keeping
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(event.request, response.clone());
+      if (max) await trim(cacheName, max);
+    }
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+async function image(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // opaque responses hide their size (and count as several MB): not cached
+  if (response.ok) {
+    const blob = await response.clone().blob();
+    if (blob.size <= MAX_IMAGE_BYTES) {
+      const cache = await caches.open(IMAGES);
+      await cache.put(request, response.clone());
+      await trim(IMAGES, MAX_IMAGES);
+    }
+  }
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  // form posts, video range requests and the like go straight to the network
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(page(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(image(request));
+  } else if (PRECACHED.has(url.origin + url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, SHELL));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, CDN, MAX_CDN));
+  }
+});
@@ -0,0 +1,389 @@
+/** prerender.mjs
+ * Static build. Renders home.html from data/resume.json with the same
+ * markup builders the browser uses (js/lib/views.js), so search engines and
+ * link previews get the real content, and writes next to it:
+ *
+ *   projects/<id>.html   one page per project, modal open and filled in
+ *   sitemap.xml          home page + project pages
+ *   robots.txt           pointing at the sitemap
+ *   sw.js                the service worker, VERSION set to a hash of the
+ *                        files it precaches (so every change is an update)
+ *
+ * Every page gets a canonical URL, Open Graph / Twitter card tags and
+ * JSON-LD (Person on the home page, CreativeWork for projects). The static
+ * files (css, js, data, images, vendor, ...) are copied as they are; in the browser
+ * the modules find the pre-rendered markup (data-prerendered) and hydrate it
+ * instead of rendering it again.
+ *
+ *   node tools/prerender.mjs --site https://example.com/portfolio/ [--out dist] [--lang en]
+ *
+ * --site defaults to $SITE_URL, then to basics.url in the resume. Needs
+ * Node 20.19+ or 22+ (it imports the site's own ES modules from js/) and
+ * nothing else.
+ */
+
+import { cp, mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import * as Views from '../js/lib/views.js';
+import * as Career from '../js/lib/career.js';
+import { escapeHTML } from '../js/lib/dom.js';
+import { checkProjects } from '../js/lib/project-check.js';
+import { decimalsOf, formatCount } from '../js/lib/counter.js';
+import en from '../js/i18n/en.js';
+import id from '../js/i18n/id.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STATIC = ['css', 'js', 'data', 'images', 'assets', 'project', 'vendor', 'offline.html', 'manifest.webmanifest'];
+const DICTIONARIES = { en, id };
+const FALLBACK = 'en';
+const PROJECT_DIR = 'projects';
+
+/* ---------- options ---------- */
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(\w+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) throw new Error(`prerender: unexpected argument "${argv[i]}"`);
+    options[match[1]] = match[2] != null ? match[2] : argv[++i];
+  }
+  return options;
+}
+
+/* ---------- text (the build's side of i18n.js viewContext()) ---------- */
+
+function lookup(dict, key) {
+  return key.split('.').reduce((node, part) => (node == null ? node : node[part]), dict);
+}
+
+function context(lang) {
+  function t(key, params) {
+    let value = lookup(DICTIONARIES[lang], key);
+    if (value == null) value = lookup(DICTIONARIES[FALLBACK], key);
+    if (value == null) return key;
+    if (typeof value !== 'string' || !params) return value;
+    return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+  function field(item, key) {
+    if (!item) return undefined;
+    const own = item.translations && item.translations[lang];
+    return own && own[key] != null ? own[key] : item[key];
+  }
+  return { t, field, lang };
+}
+
+/* ---------- markup surgery on home.html ---------- */
+
+// first opening tag carrying `attr` (e.g. 'id="home"', 'class="timeline"')
+function findTag(html, attr) {
+  const pattern = attr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`<([a-z][a-z0-9]*)\\b[^>]*\\s${pattern}[^>]*>`, 'i').exec(html);
+  if (!match) throw new Error(`prerender: no element with ${attr} in home.html`);
+  return { start: match.index, end: match.index + match[0].length, name: match[1], text: match[0] };
+}
+
+/** set (string), add (true) or remove (null) attributes on the element with `attr` */
+function setAttrs(html, attr, attrs) {
+  const tag = findTag(html, attr);
+  let text = tag.text;
+  Object.keys(attrs).forEach(name => {
+    text = text.replace(new RegExp(`\\s${name}(="[^"]*")?(?=[\\s/>])`), '');
+    const value = attrs[name];
+    if (value == null) return;
+    const added = value === true ? ` ${name}` : ` ${name}="${escapeHTML(value)}"`;
+    text = text.replace(/\s*\/?>$/, end => added + end);
+  });
+  return html.slice(0, tag.start) + text + html.slice(tag.end);
+}
+
+/** fill the element with `attr` - empty in the source, comments aside - with `inner` */
+function setInner(html, attr, inner) {
+  const tag = findTag(html, attr);
+  const close = html.indexOf(`</${tag.name}>`, tag.end);
+  if (html.slice(tag.end, close).replace(/<!--[\s\S]*?-->/g, '').trim()) {
+    throw new Error(`prerender: element with ${attr} is not empty in home.html`);
+  }
+  return html.slice(0, tag.end) + inner + html.slice(close);
+}
+
+/** setInner + data-prerendered, so the module keeps the markup */
+function hydrate(html, attr, inner, lang) {
+  return setAttrs(setInner(html, attr, inner), attr, { 'data-prerendered': lang });
+}
+
+/* ---------- head: title, canonical, social cards, JSON-LD ---------- */
+
+function absolute(site, url) {
+  return url ? new URL(url, site).href : '';
+}
+
+// "<" escaped so a string in the data can never close the <script>
+function jsonLD(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+function headHTML(meta) {
+  const tags = [
+    `<meta name="description" content="${escapeHTML(meta.description)}">`,
+    `<link rel="canonical" href="${escapeHTML(meta.url)}">`,
+    `<meta property="og:type" content="${escapeHTML(meta.type)}">`,
+    `<meta property="og:site_name" content="${escapeHTML(meta.siteName)}">`,
+    `<meta property="og:title" content="${escapeHTML(meta.title)}">`,
+    `<meta property="og:description" content="${escapeHTML(meta.description)}">`,
+    `<meta property="og:url" content="${escapeHTML(meta.url)}">`,
+    `<meta property="og:locale" content="${escapeHTML(meta.locale)}">`,
+    meta.image ? `<meta property="og:image" content="${escapeHTML(meta.image)}">` : '',
+    `<meta name="twitter:card" content="${meta.image ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${escapeHTML(meta.title)}">`,
+    `<meta name="twitter:description" content="${escapeHTML(meta.description)}">`,
+    meta.image ? `<meta name="twitter:image" content="${escapeHTML(meta.image)}">` : '',
+    jsonLD(meta.structured)
+  ];
+  return tags.filter(Boolean).map(tag => `  ${tag}\n`).join('');
+}
+
+function withHead(html, title, meta) {
+  return html
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHTML(title)}</title>`)
+    .replace('</head>', `${headHTML(meta)}</head>`);
+}
+
+function personLD(resume, site, ctx) {
+  const basics = resume.basics || {};
+  const location = basics.location || {};
+  return {
+    '@type': 'Person',
+    '@id': `${site}#person`,
+    name: basics.name,
+    jobTitle: ctx.field(basics, 'label'),
+    description: ctx.field(basics, 'summary'),
+    image: absolute(site, basics.image) || undefined,
+    url: site,
+    email: basics.email || undefined,
+    nationality: ctx.field(basics, 'nationality'),
+    address: {
+      '@type': 'PostalAddress',
+      addressLocality: location.city,
+      addressRegion: ctx.field(location, 'region'),
+      addressCountry: location.countryCode
+    },
+    sameAs: (basics.profiles || []).map(p => p.url).filter(Boolean),
+    alumniOf: (resume.education || [])
+      .filter(entry => entry.status !== 'planned')
+      .map(entry => ({ '@type': 'EducationalOrganization', name: ctx.field(entry, 'institution') })),
+    knowsAbout: (resume.skills || []).map(skill => skill.name)
+  };
+}
+
+function creativeWorkLD(project, site, ctx) {
+  return {
+    '@type': 'CreativeWork',
+    '@id': `${projectURL(site, project)}#work`,
+    name: ctx.field(project, 'name'),
+    description: ctx.field(project, 'description') || ctx.field(project, 'summary'),
+    image: absolute(site, project.image) || undefined,
+    url: projectURL(site, project),
+    sameAs: [project.url, project.source].filter(Boolean),
+    keywords: (project.keywords || []).join(', '),
+    genre: project.category,
+    creator: { '@id': `${site}#person` }
+  };
+}
+
+function projectURL(site, project) {
+  return `${site}${PROJECT_DIR}/${encodeURIComponent(project.id)}.html`;
+}
+
+/* ---------- pages ---------- */
+
+function renderHome(source, resume, ctx) {
+  const basics = resume.basics || {};
+  const list = key => (Array.isArray(resume[key]) ? resume[key] : []);
+  const jobs = Career.sortByDate(list('work'));
+  const skills = Career.allSkills(jobs);
+  const about = Views.aboutFields(basics, ctx);
+  const lang = ctx.lang;
+  let html = source.replace(/<html\b[^>]*>/, `<html lang="${lang}">`);
+
+  // hero + about: the modules fill single fields, so the section is the unit
+  html = setInner(html, 'class="name"', escapeHTML(basics.name || ''));
+  html = setInner(html, 'id="typed"', escapeHTML(Views.heroRoles(basics, ctx)[0] || ''));
+  html = setInner(html, 'class="description"', escapeHTML(ctx.field(basics, 'tagline') || ''));
+  html = setInner(html, 'class="social-icons"', Views.profilesHTML(basics));
+  html = setAttrs(html, 'id="home"', { 'data-prerendered': lang });
+  html = setInner(html, 'class="about-summary"', escapeHTML(ctx.field(basics, 'summary') || ''));
+  Object.keys(about).forEach(name => {
+    html = setInner(html, `data-field="${name}"`, escapeHTML(about[name] == null ? '' : about[name]));
+  });
+  html = setAttrs(html, 'id="about"', { 'data-prerendered': lang });
+
+  const projects = list('projects').map(p => ({ id: p.id, title: ctx.field(p, 'name'), tech: p.keywords }));
+  html = hydrate(html, 'class="skills-container"', Views.skillsHTML(list('skills'), ctx, projects), lang);
+  html = hydrate(html, 'class="timeline"', Views.educationHTML(list('education'), ctx), lang);
+  html = hydrate(html, 'class="career-journey"', Views.careerHTML(jobs, ctx), lang);
+  html = hydrate(html, 'id="careerFilter"', Views.careerFilterHTML(skills, null, ctx), lang);
+  if (skills.length >= 2) html = setAttrs(html, 'id="careerFilter"', { hidden: null });
+
+  const cards = list('projects').slice(0, Views.PROJECTS_PER_PAGE).map(project => Views.projectCardHTML({
+    id: project.id,
+    category: project.category,
+    image: project.image,
+    title: ctx.field(project, 'name'),
+    summary: ctx.field(project, 'summary')
+  }, ctx));
+  html = hydrate(html, 'class="portfolio-grid"', cards.join(''), lang);
+
+  return html.replace(/(<span class="stat-number"[^>]*>)[^<]*(<\/span>)/g, (match, open, close) => {
+    const text = statText(open, lang);
+    return text == null ? match : open + text + close;
+  });
+}
+
+// counters show their final value until the animation takes over; computed
+// ones (data-source) only get their data-target fallback
+function statText(tag, lang) {
+  const attr = name => {
+    const found = new RegExp(`\\sdata-${name}="([^"]*)"`).exec(tag);
+    return found ? found[1] : null;
+  };
+  const target = attr('target');
+  if (target == null) return null;
+  const decimals = attr('decimals');
+  return escapeHTML(formatCount(Number(target) || 0, {
+    locale: lang,
+    decimals: decimals != null ? parseInt(decimals, 10) || 0 : decimalsOf(target),
+    prefix: attr('prefix') || '',
+    suffix: attr('suffix') || ''
+  }));
+}
+
+function renderProject(home, project, resume, site, ctx) {
+  const title = ctx.field(project, 'name') || project.id;
+  const media = (project.media || []).find(item => item.type !== 'video') || { src: project.image };
+  let html = home.replace('<head>', '<head>\n  <base href="../home.html">');
+  html = setInner(html, 'id="modalTitle"', escapeHTML(title));
+  html = setInner(html, 'id="modalClient"', escapeHTML(ctx.field(project, 'entity') || ''));
+  html = setInner(html, 'id="modalDesc"', escapeHTML(ctx.field(project, 'description') || ''));
+  html = setInner(html, 'id="modalTech"', Views.techBadgesHTML(project.keywords, ctx));
+  html = setInner(html, 'id="modalGallery"', media.src
+    ? `<img src="${escapeHTML(media.src)}" alt="${escapeHTML(ctx.field(media, 'alt') || title)}" class="gallery-media">`
+    : '');
+  // URLs already went through checkProjects(); links without one stay hidden
+  html = setAttrs(html, 'id="modalDemo"', project.url ? { href: project.url } : { hidden: true });
+  html = setAttrs(html, 'id="modalSource"', project.source ? { href: project.source } : { hidden: true });
+  // visible without JavaScript; modal.js opens it for real from data-project
+  html = setAttrs(html, 'id="projectModal"', { class: 'project-modal show' });
+  return html.replace(/<body\b/, `<body data-project="${escapeHTML(project.id)}"`);
+}
+
+function sitemap(urls, lastmod) {
+  const entries = urls.map(url => `  <url>\n    <loc>${escapeHTML(url)}</loc>\n    <lastmod>${lastmod}</lastmod>\n  </url>\n`);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${entries.join('')}</urlset>\n`;
+}
+
+/* ---------- service worker ---------- */
+
+// every module under js/ has to be precached - one missing import breaks the
+// page offline - and every precached file has to exist
+async function serviceWorker(out) {
+  const source = await readFile(path.join(ROOT, 'sw.js'), 'utf8');
+  const list = /const PRECACHE = \[([\s\S]*?)\];/.exec(source);
+  if (!list) throw new Error('prerender: no PRECACHE list in sw.js');
+  const precache = [...list[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+
+  const scripts = (await readdir(path.join(ROOT, 'js'), { recursive: true }))
+    .filter(file => file.endsWith('.js'))
+    .map(file => 'js/' + file.split(path.sep).join('/'));
+  const missing = scripts.filter(file => !precache.includes(file));
+  if (missing.length) throw new Error(`prerender: add ${missing.join(', ')} to PRECACHE in sw.js`);
+
+  const hash = createHash('sha256');
+  for (const file of precache) {
+    const body = await readFile(path.join(out, file)).catch(() => {
+      throw new Error(`prerender: ${file} is in PRECACHE (sw.js) but not in the build`);
+    });
+    hash.update(file).update(body);
+  }
+  const version = hash.digest('hex').slice(0, 12);
+  await writeFile(path.join(out, 'sw.js'), source.replace(/const VERSION = '[^']*';/, `const VERSION = '${version}';`));
+  return version;
+}
+
+/* ---------- main ---------- */
+
+async function build() {
+  const options = parseArgs(process.argv.slice(2));
+  const data = JSON.parse(await readFile(path.join(ROOT, 'data/resume.json'), 'utf8'));
+  // the same project checks as the browser: bad entries are reported, not built
+  const resume = Object.assign({}, data, { projects: checkProjects(data.projects, message => console.warn('prerender: ' + message)) });
+  const source = await readFile(path.join(ROOT, 'home.html'), 'utf8');
+  const basics = resume.basics || {};
+
+  const lang = options.lang || FALLBACK;
+  if (!DICTIONARIES[lang]) throw new Error(`prerender: unsupported language "${lang}"`);
+  const siteURL = options.site || process.env.SITE_URL || basics.url;
+  if (!siteURL) throw new Error('prerender: pass --site <url> (or set SITE_URL / basics.url): canonical URLs must be absolute');
+  const site = new URL(siteURL).href.replace(/\/?$/, '/');
+  const out = path.resolve(ROOT, options.out || 'dist');
+  const ctx = context(lang);
+
+  const siteName = basics.name || 'Portfolio';
+  const locale = lang === 'id' ? 'id_ID' : 'en_US';
+  const projects = resume.projects;
+
+  const homeURL = `${site}home.html`;
+  const body = renderHome(source, resume, ctx);
+  const home = withHead(body, siteName, {
+    type: 'profile',
+    siteName,
+    locale,
+    title: [siteName, ctx.field(basics, 'label')].filter(Boolean).join(' | '),
+    description: ctx.field(basics, 'tagline') || ctx.field(basics, 'summary') || '',
+    url: homeURL,
+    image: absolute(site, basics.image),
+    structured: {
+      '@context': 'https://schema.org',
+      '@graph': [personLD(resume, site, ctx)].concat(projects.map(p => creativeWorkLD(p, site, ctx)))
+    }
+  });
+
+  await rm(out, { recursive: true, force: true });
+  await mkdir(path.join(out, PROJECT_DIR), { recursive: true });
+  for (const entry of STATIC) {
+    await cp(path.join(ROOT, entry), path.join(out, entry), { recursive: true });
+  }
+  await writeFile(path.join(out, 'home.html'), home);
+
+  for (const project of projects) {
+    const title = ctx.field(project, 'name') || project.id;
+    const page = withHead(renderProject(body, project, resume, site, ctx), `${title} | ${siteName}`, {
+      type: 'article',
+      siteName,
+      locale,
+      title,
+      description: ctx.field(project, 'summary') || ctx.field(project, 'description') || '',
+      url: projectURL(site, project),
+      image: absolute(site, project.image),
+      structured: Object.assign({ '@context': 'https://schema.org' }, creativeWorkLD(project, site, ctx), {
+        creator: personLD(resume, site, ctx)
+      })
+    });
+    await writeFile(path.join(out, PROJECT_DIR, `${project.id}.html`), page);
+  }
+
+  const version = await serviceWorker(out);
+
+  const lastmod = new Date().toISOString().slice(0, 10);
+  await writeFile(path.join(out, 'sitemap.xml'), sitemap([homeURL].concat(projects.map(p => projectURL(site, p))), lastmod));
+  await writeFile(path.join(out, 'robots.txt'), `User-agent: *\nAllow: /\n\nSitemap: ${site}sitemap.xml\n`);
+
+  console.log(`prerender: home.html + ${projects.length} project page(s), sw.js ${version} -> ${path.relative(process.cwd(), out) || '.'}`);
+}
+
+build().catch(err => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});